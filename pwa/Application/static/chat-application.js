@@ -1,6 +1,42 @@
 import { AppManager } from './framework/app-manager.js';
 
+const CONNECTION_STATUS = {
+  idle: 'offline',
+  connecting: 'connecting',
+  open: 'online',
+  closing: 'offline',
+  backoff: 'connecting',
+  failed: 'offline',
+};
+
+const REACTION = '👍';
+
+// `/dm <user> <text>` sends a direct message; without text it loads the
+// conversation with that user
+const DIRECT_MESSAGE = /^\/dm\s+(\S+)(?:\s+([\s\S]+))?$/;
+
+// `{ "👍": ["ann", "bob"] }` → `👍 2`
+const describeReactions = (reactions) =>
+  Object.entries(reactions || {})
+    .map(([emoji, users]) => `${emoji} ${users.length}`)
+    .join(' ');
+
+// Attachments are shown with their name and link
+const describe = ({ content, attachment, deleted, editedAt, reactions }) => {
+  if (deleted) return '[deleted]';
+  const parts = [content];
+  if (editedAt) parts.push('(edited)');
+  if (attachment) parts.push(`[${attachment.name}: ${attachment.url}]`);
+  if (reactions) parts.push(describeReactions(reactions));
+  return parts.filter(Boolean).join(' ');
+};
+
 export class ChatApplication extends AppManager {
+  #historyCursor = null;
+  // Targets of the message action buttons
+  #lastSentId = null;
+  #lastReceivedId = null;
+
   constructor(config = {}) {
     super({
       logOutputId: 'output',
@@ -14,17 +50,29 @@ export class ChatApplication extends AppManager {
   setupUI() {
     this.elements = {
       installBtn: document.getElementById('install-btn'),
+      updateBtn: document.getElementById('update-btn'),
       enableNotificationsBtn: document.getElementById('enable-notifications-btn'),
       sendMessageBtn: document.getElementById('send-message-btn'),
+      loadHistoryBtn: document.getElementById('load-history-btn'),
       updateCacheBtn: document.getElementById('update-cache-btn'),
       resetAppBtn: document.getElementById('reset-app-btn'),
       clearBtn: document.getElementById('clear-btn'),
       sendBtn: document.getElementById('send-btn'),
+      attachBtn: document.getElementById('attach-btn'),
+      attachmentInput: document.getElementById('attachment-input'),
+      editLastBtn: document.getElementById('edit-last-btn'),
+      deleteLastBtn: document.getElementById('delete-last-btn'),
+      reactBtn: document.getElementById('react-btn'),
       
       messageInput: document.getElementById('message-input'),
+      setNameBtn: document.getElementById('set-name-btn'),
+      statusSelect: document.getElementById('status-select'),
+      presenceList: document.getElementById('presence-list'),
+      typingIndicator: document.getElementById('typing-indicator'),
       
       connectionStatus: document.getElementById('connection-status'),
       installStatus: document.getElementById('install-status'),
+      updateStatus: document.getElementById('update-status'),
       notification: document.getElementById('notification'),
     };
 
@@ -42,6 +90,14 @@ export class ChatApplication extends AppManager {
   }
 
   async onInitialized() {
+    // Fresh HTML when online; a slow network falls back to the cached page
+    this.registerRoute({
+      destination: 'document',
+      strategy: 'networkFirst',
+      timeout: 3000,
+    }).catch(() => {});
+    // Keeps the server's copy of the endpoint current (VAPID keys may rotate)
+    if (this.notifications.hasPermission()) this.enablePush();
     this.logger.info('Chat application ready');
     this.#showNotification('Chat application ready', 'success');
   }
@@ -54,29 +110,98 @@ export class ChatApplication extends AppManager {
       return;
     }
 
+    const direct = content.match(DIRECT_MESSAGE);
+    this.elements.messageInput.value = '';
+    if (direct && !direct[2]) {
+      this.loadConversation(direct[1]);
+      return;
+    }
+    if (direct) this.sendDirectMessage(direct[1], direct[2]);
+    else this.sendMessage(content);
+
+    if (this.network.isOnline()) {
+      this.#showNotification('Sending...', 'info');
+    } else {
+      this.#showNotification('Offline: message queued', 'warning');
+    }
+  }
+
+  // The message input, if filled, becomes the caption
+  async sendAttachmentFromUI(file) {
     if (!this.network.isOnline()) {
-      this.#showNotification('Cannot send message: offline', 'error');
+      this.#showNotification('Attachments need a connection', 'warning');
       return;
     }
+    const { messageInput, attachBtn } = this.elements;
+    const caption = messageInput?.value?.trim();
+    this.#disableButton(attachBtn, 'Uploading...');
+    try {
+      await this.sendAttachment(file, { caption });
+      if (messageInput) messageInput.value = '';
+      this.#showNotification(`Sending ${file.name}...`, 'info');
+    } catch (error) {
+      this.#showNotification(`Upload failed: ${error.message}`, 'error');
+    } finally {
+      this.#enableButton(attachBtn, 'Attach');
+    }
+  }
 
-    this.sendMessage(content);
-    this.elements.messageInput.value = '';
-    this.#showNotification('Message sent', 'success');
+  async editLastFromUI() {
+    if (!this.#lastSentId) {
+      this.#showNotification('Nothing to edit yet', 'warning');
+      return;
+    }
+    const id = this.#lastSentId;
+    const content = prompt('Edit message')?.trim();
+    if (!content) return;
+    await this.#changeMessage(() => this.editMessage(id, content));
+  }
+
+  async deleteLastFromUI() {
+    const id = this.#lastSentId;
+    if (!id || !window.confirm('Delete your last message?')) return;
+    await this.#changeMessage(() => this.deleteMessage(id));
+  }
+
+  async reactFromUI() {
+    if (!this.#lastReceivedId) {
+      this.#showNotification('No message to react to', 'warning');
+      return;
+    }
+    await this.#changeMessage(() => this.react(this.#lastReceivedId, REACTION));
+  }
+
+  loadHistoryFromUI() {
+    if (!this.#historyCursor) return;
+    this.#disableButton(this.elements.loadHistoryBtn, 'Loading...');
+    this.loadHistory(this.#historyCursor);
   }
 
   async updateCacheFromUI() {
     this.#disableButton(this.elements.updateCacheBtn, 'Updating...');
     
     try {
-      this.updateCache();
-      this.#showNotification('Cache update requested', 'info');
+      await this.updateCache();
+      this.#showNotification('Cache updated!', 'success');
     } catch (error) {
-      this.logger.error('Failed to request cache update:', error);
-      this.#showNotification('Failed to update cache', 'error');
+      const results = error.details?.results || [];
+      const failed = results.filter(({ status }) => status === 'failed');
+      const details = failed.length > 0 ? ` (${failed.length} files)` : '';
+      this.#showNotification(`Cache update failed${details}`, 'error');
+    } finally {
       this.#enableButton(this.elements.updateCacheBtn, 'Update Cache');
     }
   }
 
+  async enablePushFromUI() {
+    const enabled = await this.enablePush();
+    if (enabled) {
+      this.#showNotification('Push notifications enabled', 'success');
+    } else {
+      this.#showNotification('Push notifications unavailable', 'warning');
+    }
+  }
+
   async installFromUI() {
     try {
       await this.installApp();
@@ -85,6 +210,32 @@ export class ChatApplication extends AppManager {
     }
   }
 
+  updateFromUI() {
+    this.#disableButton(this.elements.updateBtn, 'Updating...');
+    if (!this.applyUpdate()) {
+      this.#hideUpdateButton();
+      this.#enableButton(this.elements.updateBtn, 'Update & Reload');
+      this.#showNotification('No update waiting', 'warning');
+    }
+  }
+
+  // Other tabs of the sender get a copy of its direct messages too
+  #showDirectMessage(data) {
+    const outgoing = data.userId === this.presence.userId;
+    const peer = this.presence.nameOf(outgoing ? data.to : data.userId);
+    const label = outgoing ? `Direct to ${peer}` : `Direct from ${peer}`;
+    this.logger.info(`[dm @${peer}]`, describe(data));
+    this.#showNotification(`${label}: ${describe(data)}`, 'info');
+  }
+
+  async #changeMessage(change) {
+    try {
+      await change();
+    } catch (error) {
+      this.#showNotification(error.message, 'error');
+    }
+  }
+
   #validateElements() {
     const required = ['messageInput', 'sendBtn', 'connectionStatus'];
     const missing = required.filter((key) => !this.elements[key]);
@@ -99,9 +250,14 @@ export class ChatApplication extends AppManager {
       this.installFromUI();
     });
 
+    this.elements.updateBtn?.addEventListener('click', () => {
+      this.updateFromUI();
+    });
+
     this.elements.enableNotificationsBtn?.addEventListener('click', async () => {
-      await this.requestNotificationPermission();
+      const granted = await this.requestNotificationPermission();
       this.#updateNotificationButton();
+      if (granted) await this.enablePushFromUI();
     });
 
     this.elements.sendMessageBtn?.addEventListener('click', () => {
@@ -112,6 +268,32 @@ export class ChatApplication extends AppManager {
       this.sendMessageFromUI();
     });
 
+    this.elements.attachBtn?.addEventListener('click', () => {
+      this.elements.attachmentInput?.click();
+    });
+
+    this.elements.attachmentInput?.addEventListener('change', (event) => {
+      const [file] = event.target.files;
+      event.target.value = '';
+      if (file) this.sendAttachmentFromUI(file);
+    });
+
+    this.elements.editLastBtn?.addEventListener('click', () => {
+      this.editLastFromUI();
+    });
+
+    this.elements.deleteLastBtn?.addEventListener('click', () => {
+      this.deleteLastFromUI();
+    });
+
+    this.elements.reactBtn?.addEventListener('click', () => {
+      this.reactFromUI();
+    });
+
+    this.elements.loadHistoryBtn?.addEventListener('click', () => {
+      this.loadHistoryFromUI();
+    });
+
     this.elements.updateCacheBtn?.addEventListener('click', () => {
       this.updateCacheFromUI();
     });
@@ -131,6 +313,16 @@ export class ChatApplication extends AppManager {
     this.elements.clearBtn?.addEventListener('click', () => {
       this.clearLog();
     });
+
+    this.elements.setNameBtn?.addEventListener('click', () => {
+      const current = this.presence.nameOf(this.presence.userId);
+      const name = prompt('Display name', current);
+      if (name?.trim()) this.setPresence(name.trim());
+    });
+
+    this.elements.statusSelect?.addEventListener('change', (event) => {
+      this.setPresence(undefined, event.target.value);
+    });
   }
 
   #setupInputHandlers() {
@@ -139,21 +331,33 @@ export class ChatApplication extends AppManager {
         this.sendMessageFromUI();
       }
     });
+
+    this.elements.messageInput?.addEventListener('input', (event) => {
+      if (event.target.value) this.notifyTyping();
+      else this.stopTyping();
+    });
   }
 
   #setupApplicationEvents() {
     this.eventBus.on('network:online', () => {
       this.#updateConnectionStatus();
-      this.#updateButtonStates();
       this.#showNotification('Back online', 'success');
     });
 
     this.eventBus.on('network:offline', () => {
       this.#updateConnectionStatus();
-      this.#updateButtonStates();
       this.#showNotification('You are offline', 'warning');
     });
 
+    this.eventBus.on('worker:outbox', ({ size }) => {
+      const { sendBtn } = this.elements;
+      if (sendBtn) sendBtn.textContent = size > 0 ? `Send (${size})` : 'Send';
+    });
+
+    this.eventBus.on('worker:connection', () => {
+      this.#updateConnectionStatus();
+    });
+
     this.eventBus.on('worker:status', (data) => {
       if (data.connected) {
         this.#showNotification('Connected', 'success');
@@ -163,17 +367,92 @@ export class ChatApplication extends AppManager {
     });
 
     this.eventBus.on('worker:message', (data) => {
-      this.#showNotification(`Message: ${data.content}`, 'info');
+      if (data.to) {
+        this.#showDirectMessage(data);
+        return;
+      }
+      if (data.room === this.room) this.#lastReceivedId = data.id;
+      this.#showNotification(`Message: ${describe(data)}`, 'info');
     });
 
-    this.eventBus.on('worker:cacheUpdated', () => {
-      this.#enableButton(this.elements.updateCacheBtn, 'Update Cache');
-      this.#showNotification('Cache updated!', 'success');
+    this.eventBus.on('message:status', ({ id, status, error }) => {
+      if (status === 'sent') {
+        this.#lastSentId = id;
+        this.#showNotification('Message sent', 'success');
+      } else if (status === 'failed') {
+        this.#showNotification(`Message not sent: ${error}`, 'error');
+      }
     });
 
-    this.eventBus.on('worker:cacheUpdateFailed', () => {
-      this.#enableButton(this.elements.updateCacheBtn, 'Update Cache');
-      this.#showNotification('Cache update failed', 'error');
+    this.eventBus.on('message:edited', ({ id, content, userId }) => {
+      this.logger.info(`Message ${id.substring(0, 8)} edited:`, content);
+      const name = this.presence.nameOf(userId);
+      this.#showNotification(`${name} edited a message`, 'info');
+    });
+
+    this.eventBus.on('message:deleted', ({ id, userId }) => {
+      this.logger.info(`Message ${id.substring(0, 8)} deleted`);
+      if (id === this.#lastSentId) this.#lastSentId = null;
+      if (id === this.#lastReceivedId) this.#lastReceivedId = null;
+      const name = this.presence.nameOf(userId);
+      this.#showNotification(`${name} deleted a message`, 'info');
+    });
+
+    this.eventBus.on('worker:error', ({ code, error }) => {
+      if (code === 'forbidden') this.#showNotification(error, 'error');
+    });
+
+    this.eventBus.on('message:reacted', ({ id, reactions }) => {
+      const summary = describeReactions(reactions) || 'no reactions';
+      this.logger.info(`Message ${id.substring(0, 8)}: ${summary}`);
+    });
+
+    this.eventBus.on('presence:changed', ({ members }) => {
+      this.#renderPresence(members);
+    });
+
+    this.eventBus.on('presence:typing', ({ room, users }) => {
+      if (room === this.room) this.#renderTyping(users);
+    });
+
+    this.eventBus.on('worker:connected', (data) => {
+      this.#resetHistory(data.recentMessages);
+    });
+
+    this.eventBus.on('worker:joined', (data) => {
+      this.#resetHistory(data.recentMessages);
+      this.#showNotification(`Joined #${data.room}`, 'success');
+    });
+
+    this.eventBus.on('worker:history', (data) => {
+      if (data.peer) {
+        const name = this.presence.nameOf(data.peer);
+        for (const message of data.messages) {
+          const from = this.presence.nameOf(message.userId);
+          this.logger.info(`[dm @${name}] ${from}:`, describe(message));
+        }
+        return;
+      }
+      if (data.room !== this.room) return;
+      for (const message of data.messages) {
+        this.logger.info(`[history #${data.room}]`, describe(message));
+      }
+      this.#historyCursor = data.hasMore ? data.cursor : null;
+      const { loadHistoryBtn } = this.elements;
+      if (data.hasMore) {
+        this.#enableButton(loadHistoryBtn, 'Load Older Messages');
+      } else {
+        this.#disableButton(loadHistoryBtn, 'No Older Messages');
+      }
+    });
+
+    this.eventBus.on('worker:left', (data) => {
+      this.#showNotification(`Left #${data.room}`, 'info');
+    });
+
+    this.eventBus.on('worker:updateAvailable', () => {
+      this.#showUpdateButton();
+      this.#showNotification('A new version is available', 'info');
     });
 
     this.eventBus.on('install:available', () => {
@@ -193,12 +472,57 @@ export class ChatApplication extends AppManager {
     });
   }
 
+  #renderPresence(members) {
+    const { presenceList } = this.elements;
+    if (!presenceList) return;
+
+    const items = members.map(({ userId, name, status }) => {
+      const item = document.createElement('li');
+      item.className = status;
+      const self = userId === this.presence.userId;
+      item.textContent = self ? `${name} (you)` : name;
+      return item;
+    });
+    presenceList.replaceChildren(...items);
+  }
+
+  #renderTyping(users) {
+    const { typingIndicator } = this.elements;
+    if (!typingIndicator) return;
+
+    if (users.length === 0) {
+      typingIndicator.textContent = '';
+    } else if (users.length === 1) {
+      typingIndicator.textContent = `${users[0]} is typing...`;
+    } else {
+      typingIndicator.textContent = `${users.join(', ')} are typing...`;
+    }
+  }
+
+  #resetHistory(recentMessages = []) {
+    const [oldest] = recentMessages;
+    this.#historyCursor = oldest ? oldest.id || oldest.timestamp : null;
+    const { loadHistoryBtn } = this.elements;
+    if (loadHistoryBtn) {
+      loadHistoryBtn.textContent = 'Load Older Messages';
+      loadHistoryBtn.disabled = !this.#historyCursor;
+    }
+  }
+
   #updateConnectionStatus() {
     const { connectionStatus } = this.elements;
     if (!connectionStatus) return;
 
-    const status = this.network.isOnline() ? 'online' : 'offline';
-    connectionStatus.textContent = status.toUpperCase();
+    const { state, attempt, maxAttempts } = this.connection;
+    const online = this.network.isOnline();
+    const status = online ? CONNECTION_STATUS[state] : 'offline';
+    let text = status;
+    if (online && state === 'backoff') {
+      text = `reconnecting ${attempt}/${maxAttempts}`;
+    } else if (online && state === 'failed') {
+      text = 'disconnected';
+    }
+    connectionStatus.textContent = text.toUpperCase();
     connectionStatus.className = `status-indicator ${status}`;
   }
 
@@ -222,12 +546,6 @@ export class ChatApplication extends AppManager {
     }
   }
 
-  #updateButtonStates() {
-    const { sendMessageBtn, sendBtn } = this.elements;
-    if (sendMessageBtn) sendMessageBtn.disabled = !this.network.isOnline();
-    if (sendBtn) sendBtn.disabled = !this.network.isOnline();
-  }
-
   #showInstallButton() {
     this.elements.installBtn?.classList.remove('hidden');
     this.elements.installStatus?.classList.remove('hidden');
@@ -238,6 +556,16 @@ export class ChatApplication extends AppManager {
     this.elements.installStatus?.classList.add('hidden');
   }
 
+  #showUpdateButton() {
+    this.elements.updateBtn?.classList.remove('hidden');
+    this.elements.updateStatus?.classList.remove('hidden');
+  }
+
+  #hideUpdateButton() {
+    this.elements.updateBtn?.classList.add('hidden');
+    this.elements.updateStatus?.classList.add('hidden');
+  }
+
   #showNotification(message, type = 'info') {
     const { notification } = this.elements;
     if (!notification) return;
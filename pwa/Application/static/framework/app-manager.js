@@ -4,9 +4,22 @@ import { NetworkMonitor } from './network-monitor.js';
 import { ServiceWorkerAdapter } from './service-worker-adapter.js';
 import { InstallManager } from './install-manager.js';
 import { NotificationManager } from './notification-manager.js';
+import { DeliveryTracker } from './delivery-tracker.js';
+import { PresenceStore } from './presence-store.js';
+import { TabCoordinator } from './tab-coordinator.js';
 import { CommandFactory } from './commands.js';
 
+const DEFAULT_ROOM = 'general';
+const AUTH_FAILED = 4001;
+const TYPING_THROTTLE = 2000;
+const TYPING_IDLE = 3000;
+const CACHE_UPDATE_TIMEOUT = 60000;
+
 export class AppManager {
+  #authRetried = false;
+  #typingSentAt = 0;
+  #typingTimer = null;
+
   constructor(config = {}) {
     this.eventBus = new EventBus();
     
@@ -15,9 +28,20 @@ export class AppManager {
     this.worker = new ServiceWorkerAdapter(this.eventBus);
     this.install = new InstallManager(this.eventBus);
     this.notifications = new NotificationManager(this.eventBus);
+    this.delivery = new DeliveryTracker(this.eventBus);
+    this.presence = new PresenceStore(this.eventBus);
+    this.tabs = new TabCoordinator(this.eventBus, config.tabs);
     
     this.clientId = this.#getOrCreateClientId();
+    this.userId = null;
+    this.token = null;
+    this.room = config.room || DEFAULT_ROOM;
+    this.readReceipts = config.readReceipts ?? true;
     this.config = config;
+    this.unread = new Set();
+    this.outboxSize = 0;
+    this.openTabs = [];
+    this.connection = { state: 'idle', attempt: 0 };
     
     this.#setupSystemEventHandlers();
   }
@@ -26,9 +50,11 @@ export class AppManager {
     this.logger.info('Initializing application...');
     
     await this.#initializeServiceWorker();
+    await this.#authenticate();
     this.setupUI();
     this.setupEventHandlers();
     this.#connect();
+    this.tabs.start();
     this.#startHeartbeat();
     
     this.logger.info('Application initialized successfully');
@@ -54,23 +80,191 @@ export class AppManager {
     return sent;
   }
 
-  sendMessage(content) {
+  sendMessage(content, room = this.room) {
     if (!content) {
       this.eventBus.emit('app:error', { message: 'Message content is empty' });
       return;
     }
     
-    const command = CommandFactory.message(content);
+    this.#sendMessageCommand(CommandFactory.message(content, room));
+  }
+
+  // Reaches every tab of the user `to` (a user or client id), not the room
+  sendDirectMessage(to, content) {
+    if (!to || !content) {
+      const message = 'Recipient and content are required';
+      this.eventBus.emit('app:error', { message });
+      return;
+    }
+
+    this.#sendMessageCommand(CommandFactory.directMessage(to, content));
+  }
+
+  // Needs the network for the upload; the message itself may be queued
+  async sendAttachment(file, { caption, room = this.room } = {}) {
+    const attachment = await this.uploadAttachment(file);
+    const command = CommandFactory.attachment(attachment, room, caption);
+    this.#sendMessageCommand(command);
+    return attachment;
+  }
+
+  // Resolves with the stored file's metadata (`id`, `url`, `previewSize`...)
+  async uploadAttachment(file) {
+    const uploadUrl = this.config.uploadUrl || '/api/uploads';
+    const url = new URL(uploadUrl, window.location.href);
+    url.searchParams.set('name', file.name);
+    const headers = { 'Content-Type': file.type || 'application/octet-stream' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    try {
+      const init = { method: 'POST', headers, body: file };
+      const response = await fetch(url, init);
+      const data = await response.json().catch(() => ({}));
+      const { status } = response;
+      if (!response.ok) throw new Error(data.error || `HTTP ${status}`);
+      this.logger.info(`Uploaded ${data.name} (${data.type}, ${data.size} B)`);
+      return data;
+    } catch (error) {
+      this.logger.error('Upload failed:', error.message);
+      throw error;
+    }
+  }
+
+  sendReceipt(id, status) {
+    const command = CommandFactory.receipt(id, status);
     this.sendCommand(command);
-    this.logger.info('Message sent:', content);
   }
 
-  updateCache() {
-    this.logger.info('Requesting cache update...');
-    const command = CommandFactory.updateCache();
+  // Only the author may edit or delete; the server answers others with an
+  // error frame. Rejects while offline, since changes are not queued.
+  editMessage(id, content) {
+    return this.request(CommandFactory.edit(id, content));
+  }
+
+  deleteMessage(id) {
+    return this.request(CommandFactory.delete(id));
+  }
+
+  react(id, emoji, { remove = false } = {}) {
+    return this.request(CommandFactory.react(id, emoji, remove));
+  }
+
+  joinRoom(room) {
+    const command = CommandFactory.join(room);
+    this.sendCommand(command);
+  }
+
+  leaveRoom(room) {
+    const command = CommandFactory.leave(room);
+    this.sendCommand(command);
+  }
+
+  setPresence(name, status) {
+    const command = CommandFactory.presence(name, status);
     this.sendCommand(command);
   }
 
+  notifyTyping() {
+    clearTimeout(this.#typingTimer);
+    this.#typingTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE);
+    const now = Date.now();
+    if (now - this.#typingSentAt < TYPING_THROTTLE) return;
+    this.#typingSentAt = now;
+    // Typing frames bypass sendCommand() to keep the log readable
+    this.worker.send(CommandFactory.typing(this.room));
+  }
+
+  stopTyping() {
+    clearTimeout(this.#typingTimer);
+    this.#typingTimer = null;
+    if (!this.#typingSentAt) return;
+    this.#typingSentAt = 0;
+    this.worker.send(CommandFactory.stoppedTyping(this.room));
+  }
+
+  loadHistory(before, limit) {
+    const command = CommandFactory.history(before, limit, this.room);
+    this.sendCommand(command);
+  }
+
+  // Answered with a `history` frame that has `peer` instead of `room`
+  loadConversation(peer, before, limit) {
+    const command = CommandFactory.conversation(peer, before, limit);
+    this.sendCommand(command);
+  }
+
+  async request(command, options) {
+    this.logger.info('Request sent:', command.type);
+    return this.worker.request(command, options);
+  }
+
+  async registerRoute(route) {
+    try {
+      const registered = await this.request(CommandFactory.route(route));
+      this.logger.info(`Route ${registered.id} → ${registered.strategy}`);
+      return registered;
+    } catch (error) {
+      this.logger.error('Route registration failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Resolves with per-asset results; rejects with `details.results`
+  async updateCache({ timeout = CACHE_UPDATE_TIMEOUT, signal } = {}) {
+    this.logger.info('Requesting cache update...');
+    try {
+      const command = CommandFactory.updateCache();
+      const { results } = await this.request(command, { timeout, signal });
+      const fetched = results.filter(({ status }) => status === 'fetched');
+      const summary = `${fetched.length} of ${results.length} assets changed`;
+      this.logger.info(`Cache updated successfully: ${summary}`);
+      return results;
+    } catch (error) {
+      this.logger.error('Cache update failed:', error.message);
+      for (const result of error.details?.results || []) {
+        if (result.status === 'failed') {
+          this.logger.error(`  ${result.url}: ${result.error}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  async getCacheStats() {
+    const stats = await this.request(CommandFactory.cacheStats());
+    const { caches, usage, quota } = stats;
+    for (const { name, entries, bytes } of caches) {
+      const size = Math.round(bytes / 1024);
+      this.logger.info(`Cache ${name}: ${entries} entries, ~${size} KB`);
+    }
+    if (quota) {
+      const percent = ((usage / quota) * 100).toFixed(1);
+      this.logger.info(`Storage: ${percent}% of quota used`);
+    }
+    return stats;
+  }
+
+  applyUpdate() {
+    this.logger.info('Activating new version...');
+    return this.worker.applyUpdate(CommandFactory.skipWaiting());
+  }
+
+  async enablePush() {
+    try {
+      await this.notifications.subscribe(this.token);
+      this.logger.info('Push notifications enabled');
+      return true;
+    } catch (error) {
+      this.logger.warn('Push subscription failed:', error.message);
+      return false;
+    }
+  }
+
+  async disablePush() {
+    const removed = await this.notifications.unsubscribe(this.token);
+    if (removed) this.logger.info('Push notifications disabled');
+    return removed;
+  }
+
   async installApp() {
     if (!this.install.isAvailable()) {
       this.logger.warn('Install prompt not available');
@@ -90,6 +284,7 @@ export class AppManager {
   }
 
   destroy() {
+    this.tabs.stop();
     const command = CommandFactory.disconnect();
     this.sendCommand(command);
     this.eventBus.clear();
@@ -115,13 +310,52 @@ export class AppManager {
     }
   }
 
+  // The server assigns the user id. A stored token is renewed to keep it;
+  // offline, the stored token is used as is until the socket rejects it.
+  async #authenticate(refresh = false) {
+    const stored = refresh ? null : localStorage.getItem('authToken');
+    this.token = stored;
+    try {
+      let response = await this.#requestToken(stored);
+      if (response.status === 401 && stored) {
+        response = await this.#requestToken(null);
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { userId, token } = await response.json();
+      localStorage.setItem('authToken', token);
+      this.token = token;
+      this.logger.info('Authenticated as', userId);
+    } catch (error) {
+      this.logger.warn('Authentication failed:', error.message);
+    }
+    return this.token;
+  }
+
+  #requestToken(token) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const url = this.config.authUrl || '/api/auth/token';
+    return fetch(url, { method: 'POST', headers });
+  }
+
+  async #reauthenticate() {
+    if (this.#authRetried) return;
+    this.#authRetried = true;
+    this.logger.warn('Token rejected, requesting a new one...');
+    await this.#authenticate(true);
+    this.#connect();
+  }
+
   #connect() {
-    const command = CommandFactory.connect(this.clientId);
+    const command = CommandFactory.connect(this.clientId, this.token);
     this.sendCommand(command);
+    this.sendCommand(CommandFactory.outbox());
   }
 
+  // Only the leader tab keeps the shared socket alive
   #startHeartbeat() {
     setInterval(() => {
+      if (!this.tabs.isLeader()) return;
       const command = CommandFactory.ping();
       this.sendCommand(command);
     }, 25000);
@@ -130,10 +364,38 @@ export class AppManager {
       if (!document.hidden) {
         const command = CommandFactory.ping();
         this.sendCommand(command);
+        this.#flushReadReceipts();
       }
     });
   }
 
+  #sendMessageCommand(command) {
+    // The server clears the typing indicator when a message arrives
+    clearTimeout(this.#typingTimer);
+    this.#typingSentAt = 0;
+
+    const { tempId, content } = command.payload;
+    this.delivery.track(tempId, content);
+    const sent = this.sendCommand(command);
+    if (!sent) {
+      this.delivery.fail({ tempId, error: 'Service Worker not ready' });
+      return;
+    }
+    this.logger.info('Message sent:', content);
+  }
+
+  #acknowledgeMessage(id) {
+    this.sendReceipt(id, 'delivered');
+    if (!this.readReceipts) return;
+    this.unread.add(id);
+    if (!document.hidden) this.#flushReadReceipts();
+  }
+
+  #flushReadReceipts() {
+    for (const id of this.unread) this.sendReceipt(id, 'read');
+    this.unread.clear();
+  }
+
   async #requestNotificationPermission() {
     const granted = await this.notifications.requestPermission();
     this.logger.info('Notification permission:', granted ? 'granted' : 'denied');
@@ -221,12 +483,35 @@ export class AppManager {
       }
     });
 
+    this.eventBus.on('worker:connected', (data) => {
+      this.userId = data.userId;
+    });
+
+    this.eventBus.on('worker:connection', (connection) => {
+      this.connection = connection;
+      if (connection.state === 'open') {
+        this.#authRetried = false;
+      } else if (connection.closeCode === AUTH_FAILED) {
+        this.#reauthenticate();
+        return;
+      }
+      if (connection.state === 'backoff') {
+        const attempts = `${connection.attempt}/${connection.maxAttempts}`;
+        const delay = `${connection.delay}ms`;
+        this.logger.warn(`Reconnecting in ${delay} (attempt ${attempts})`);
+      } else if (connection.state === 'failed') {
+        this.logger.error('Connection failed:', connection.closeReason);
+      }
+    });
+
     this.eventBus.on('worker:message', (data) => {
       this.logger.info('Message received:', data.content);
+      if (data.id && data.clientId) this.#acknowledgeMessage(data.id);
       
       // Показати системне notification якщо користувач не на сторінці
       if (data.content) {
-        this.notifications.showIfHidden('New Message', {
+        const title = data.to ? 'Direct Message' : 'New Message';
+        this.notifications.showIfHidden(title, {
           body: data.content,
           tag: 'chat-message',
           requireInteraction: false,
@@ -234,26 +519,95 @@ export class AppManager {
       }
     });
 
+    // A push notification for another room opens that room
+    this.eventBus.on('worker:notificationClick', ({ data }) => {
+      this.logger.info('Notification opened:', data.title);
+      if (data.room && data.room !== this.room) this.joinRoom(data.room);
+    });
+
     this.eventBus.on('worker:userJoined', (data) => {
       const shortId = data.clientId.substring(0, 8);
-      this.logger.info(`User joined: ${shortId} (Total: ${data.count})`);
+      const total = `(Total: ${data.count})`;
+      this.logger.info(`User joined #${data.room}: ${shortId} ${total}`);
     });
 
     this.eventBus.on('worker:userLeft', (data) => {
       const shortId = data.clientId.substring(0, 8);
-      this.logger.info(`User left: ${shortId} (Total: ${data.count})`);
+      const total = `(Total: ${data.count})`;
+      this.logger.info(`User left #${data.room}: ${shortId} ${total}`);
+    });
+
+    this.eventBus.on('worker:joined', (data) => {
+      this.room = data.room;
+      const members = data.members.length;
+      this.logger.info(`Joined #${data.room} (Members: ${members})`);
+    });
+
+    this.eventBus.on('worker:left', (data) => {
+      if (this.room === data.room) this.room = DEFAULT_ROOM;
+      this.logger.info(`Left #${data.room}`);
     });
 
     this.eventBus.on('worker:error', (data) => {
       this.logger.error('Service Worker error:', data.error);
+      const retrying = data.code === 'rate_limited';
+      if (data.tempId && !retrying) this.delivery.fail(data);
+    });
+
+    this.eventBus.on('worker:ack', (data) => {
+      this.delivery.acknowledge(data);
+    });
+
+    this.eventBus.on('worker:outbox', (data) => {
+      this.outboxSize = data.size;
+      if (data.size > 0) this.logger.info(`Outbox: ${data.size} queued`);
+    });
+
+    this.eventBus.on('worker:receipt', (data) => {
+      this.delivery.receipt(data);
+    });
+
+    // Sent to every client in the room, the author's tabs included
+    this.eventBus.on('worker:edit', (data) => {
+      const { id, room, content, userId, editedAt } = data;
+      const edit = { id, room, content, userId, editedAt };
+      this.eventBus.emit('message:edited', edit);
+    });
+
+    this.eventBus.on('worker:delete', ({ id, room, userId, deletedAt }) => {
+      this.eventBus.emit('message:deleted', { id, room, userId, deletedAt });
+    });
+
+    this.eventBus.on('worker:react', (data) => {
+      const { id, room, emoji, action, userId, reactions } = data;
+      const reaction = { id, room, emoji, action, userId, reactions };
+      this.eventBus.emit('message:reacted', reaction);
+    });
+
+    this.eventBus.on('message:receipt', (data) => {
+      const shortId = data.userId.substring(0, 8);
+      this.logger.info(`Message ${data.status} by ${shortId}`);
+    });
+
+    this.eventBus.on('worker:sync', ({ tag, source, status, error }) => {
+      if (status === 'failed') {
+        this.logger.warn(`Sync ${tag} (${source}) failed: ${error}`);
+      } else {
+        this.logger.info(`Sync ${tag} (${source}) completed`);
+      }
+    });
+
+    this.eventBus.on('worker:updateAvailable', () => {
+      this.logger.info('New version installed and waiting');
     });
 
-    this.eventBus.on('worker:cacheUpdated', () => {
-      this.logger.info('Cache updated successfully');
+    this.eventBus.on('tabs:leader', ({ isLeader }) => {
+      if (isLeader) this.logger.info('This tab is now the leader');
     });
 
-    this.eventBus.on('worker:cacheUpdateFailed', (data) => {
-      this.logger.error('Cache update failed:', data.error);
+    this.eventBus.on('worker:tabs', ({ count, tabs }) => {
+      this.openTabs = tabs;
+      this.logger.info(`Open tabs: ${count}`);
     });
 
     this.eventBus.on('install:available', () => {
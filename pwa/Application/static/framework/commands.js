@@ -1,8 +1,12 @@
+import { isFrameType } from '../protocol.js';
+
 export class Command {
   constructor(type, payload = {}) {
     this.type = type;
     this.payload = payload;
     this.timestamp = Date.now();
+    // Correlates the worker's `response` with this command
+    this.requestId = crypto.randomUUID();
   }
 
   toJSON() {
@@ -10,13 +14,24 @@ export class Command {
       type: this.type,
       ...this.payload,
       timestamp: this.timestamp,
+      requestId: this.requestId,
     };
   }
 }
 
+// Forwarded by the worker to the server as a protocol frame of the same type
+export class FrameCommand extends Command {
+  constructor(type, payload) {
+    if (!isFrameType(type, 'client')) {
+      throw new TypeError(`Not a client frame type: ${type}`);
+    }
+    super(type, payload);
+  }
+}
+
 export class ConnectCommand extends Command {
-  constructor(clientId) {
-    super('connect', { clientId });
+  constructor(clientId, token) {
+    super('connect', { clientId, token });
   }
 }
 
@@ -26,9 +41,87 @@ export class DisconnectCommand extends Command {
   }
 }
 
-export class MessageCommand extends Command {
-  constructor(content) {
-    super('message', { content });
+// `attachment` is the id of an uploaded file
+export class MessageCommand extends FrameCommand {
+  constructor(content, room, tempId = crypto.randomUUID(), attachment) {
+    super('message', { content, room, tempId, attachment });
+  }
+}
+
+// `to` is a user or client id; the server answers unknown ones with an error
+export class DirectMessageCommand extends MessageCommand {
+  constructor(to, content, tempId) {
+    super(content, undefined, tempId);
+    this.payload.to = to;
+  }
+}
+
+export class ReceiptCommand extends FrameCommand {
+  constructor(id, status) {
+    super('receipt', { id, status });
+  }
+}
+
+export class EditMessageCommand extends FrameCommand {
+  constructor(id, content) {
+    super('edit', { id, content });
+  }
+}
+
+export class DeleteMessageCommand extends FrameCommand {
+  constructor(id) {
+    super('delete', { id });
+  }
+}
+
+// `remove` takes back a reaction the user added before
+export class ReactCommand extends FrameCommand {
+  constructor(id, emoji, remove = false) {
+    super('react', { id, emoji, action: remove ? 'remove' : 'add' });
+  }
+}
+
+export class JoinRoomCommand extends FrameCommand {
+  constructor(room) {
+    super('join', { room });
+  }
+}
+
+export class LeaveRoomCommand extends FrameCommand {
+  constructor(room) {
+    super('leave', { room });
+  }
+}
+
+export class PresenceCommand extends FrameCommand {
+  constructor(name, status) {
+    super('presence', { name, status });
+  }
+}
+
+export class TypingCommand extends FrameCommand {
+  constructor(room, typing = true) {
+    super(typing ? 'typing' : 'stoppedTyping', { room });
+  }
+}
+
+// With a `peer`, the conversation with that user instead of the room
+export class HistoryCommand extends FrameCommand {
+  constructor(before, limit, room, peer) {
+    super('history', { before, limit, room, peer });
+  }
+}
+
+export class OutboxStatusCommand extends Command {
+  constructor() {
+    super('outbox');
+  }
+}
+
+// route: { pattern, destination, method, strategy, timeout, cache, id }
+export class RouteCommand extends Command {
+  constructor(route) {
+    super('route', route);
   }
 }
 
@@ -38,6 +131,24 @@ export class UpdateCacheCommand extends Command {
   }
 }
 
+export class CacheStatsCommand extends Command {
+  constructor() {
+    super('cacheStats');
+  }
+}
+
+export class SkipWaitingCommand extends Command {
+  constructor() {
+    super('skipWaiting');
+  }
+}
+
+export class TabsCommand extends Command {
+  constructor() {
+    super('tabs');
+  }
+}
+
 export class PingCommand extends Command {
   constructor() {
     super('ping');
@@ -51,10 +162,31 @@ export class NetworkStatusCommand extends Command {
 }
 
 export const CommandFactory = {
-    connect: (clientId) => new ConnectCommand(clientId),
+    connect: (clientId, token) => new ConnectCommand(clientId, token),
     disconnect: () => new DisconnectCommand(),
-    message: (content) => new MessageCommand(content),
+    message: (content, room) => new MessageCommand(content, room),
+    // The caption defaults to the file name
+    attachment: ({ id, name }, room, caption) =>
+        new MessageCommand(caption || name, room, undefined, id),
+    directMessage: (to, content) => new DirectMessageCommand(to, content),
+    receipt: (id, status) => new ReceiptCommand(id, status),
+    edit: (id, content) => new EditMessageCommand(id, content),
+    delete: (id) => new DeleteMessageCommand(id),
+    react: (id, emoji, remove) => new ReactCommand(id, emoji, remove),
+    join: (room) => new JoinRoomCommand(room),
+    leave: (room) => new LeaveRoomCommand(room),
+    presence: (name, status) => new PresenceCommand(name, status),
+    typing: (room) => new TypingCommand(room),
+    stoppedTyping: (room) => new TypingCommand(room, false),
+    history: (before, limit, room) => new HistoryCommand(before, limit, room),
+    conversation: (peer, before, limit) =>
+        new HistoryCommand(before, limit, undefined, peer),
+    outbox: () => new OutboxStatusCommand(),
+    route: (route) => new RouteCommand(route),
     updateCache: () => new UpdateCacheCommand(),
+    cacheStats: () => new CacheStatsCommand(),
+    skipWaiting: () => new SkipWaitingCommand(),
+    tabs: () => new TabsCommand(),
     ping: () => new PingCommand(),
     networkStatus: (online) => new NetworkStatusCommand(online),
 };
@@ -0,0 +1,73 @@
+const STATUSES = ['failed', 'pending', 'sent', 'delivered', 'read'];
+
+export class DeliveryTracker {
+  #eventBus;
+  #messages = new Map();
+  #ids = new Map();
+
+  constructor(eventBus, limit = 200) {
+    this.#eventBus = eventBus;
+    this.limit = limit;
+  }
+
+  track(tempId, content) {
+    const message = { tempId, id: null, content, status: 'pending' };
+    message.recipients = { delivered: new Set(), read: new Set() };
+    this.#messages.set(tempId, message);
+    this.#evict();
+    this.#emit(message);
+    return message;
+  }
+
+  acknowledge({ tempId, id }) {
+    const message = this.#messages.get(tempId);
+    if (!message) return;
+    message.id = id;
+    this.#ids.set(id, tempId);
+    this.#update(message, 'sent');
+  }
+
+  fail({ tempId, error }) {
+    const message = this.#messages.get(tempId);
+    if (!message || message.status !== 'pending') return;
+    message.status = 'failed';
+    this.#emit(message, { error });
+  }
+
+  receipt({ id, status, userId }) {
+    const message = this.#messages.get(this.#ids.get(id));
+    if (!message) return;
+    const recipients = message.recipients[status];
+    if (!recipients || recipients.has(userId)) return;
+    recipients.add(userId);
+    if (status === 'read') message.recipients.delivered.add(userId);
+    const { tempId } = message;
+    this.#eventBus.emit('message:receipt', { tempId, id, status, userId });
+    this.#update(message, status);
+  }
+
+  get(tempId) {
+    return this.#messages.get(tempId) || null;
+  }
+
+  #update(message, status) {
+    const rank = STATUSES.indexOf(status);
+    if (rank <= STATUSES.indexOf(message.status)) return;
+    message.status = status;
+    this.#emit(message);
+  }
+
+  #emit(message, extra = {}) {
+    const { tempId, id, content, status } = message;
+    const data = { tempId, id, content, status, ...extra };
+    this.#eventBus.emit('message:status', data);
+  }
+
+  #evict() {
+    while (this.#messages.size > this.limit) {
+      const [tempId, message] = this.#messages.entries().next().value;
+      this.#messages.delete(tempId);
+      if (message.id) this.#ids.delete(message.id);
+    }
+  }
+}
@@ -1,16 +1,38 @@
 export { EventBus } from './event-bus.js';
 export { Logger } from './logger.js';
 export { NetworkMonitor } from './network-monitor.js';
-export { ServiceWorkerAdapter } from './service-worker-adapter.js';
+export {
+  ServiceWorkerAdapter,
+  RequestError,
+} from './service-worker-adapter.js';
 export { InstallManager } from './install-manager.js';
 export { NotificationManager } from './notification-manager.js';
+export { DeliveryTracker } from './delivery-tracker.js';
+export { PresenceStore } from './presence-store.js';
+export { TabCoordinator } from './tab-coordinator.js';
 export { AppManager } from './app-manager.js';
 export {
   Command,
+  FrameCommand,
   ConnectCommand,
   DisconnectCommand,
   MessageCommand,
+  DirectMessageCommand,
+  ReceiptCommand,
+  EditMessageCommand,
+  DeleteMessageCommand,
+  ReactCommand,
+  JoinRoomCommand,
+  LeaveRoomCommand,
+  PresenceCommand,
+  TypingCommand,
+  HistoryCommand,
+  OutboxStatusCommand,
+  RouteCommand,
   UpdateCacheCommand,
+  CacheStatsCommand,
+  SkipWaitingCommand,
+  TabsCommand,
   PingCommand,
   NetworkStatusCommand,
   CommandFactory,
@@ -1,10 +1,28 @@
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window;
+
+const sameKey = (buffer, key) => {
+  if (!buffer) return false;
+  const bytes = new Uint8Array(buffer);
+  return bytes.length === key.length && bytes.every((b, i) => b === key[i]);
+};
+
 export class NotificationManager {
   #eventBus;
   #permission = null;
+  #pushUrl;
 
-  constructor(eventBus) {
+  constructor(eventBus, options = {}) {
     this.#eventBus = eventBus;
     this.#permission = Notification.permission;
+    this.#pushUrl = options.pushUrl || '/api/push';
+    this.subscription = null;
   }
 
   async requestPermission() {
@@ -12,9 +30,9 @@ export class NotificationManager {
 
     const permission = await Notification.requestPermission();
     this.#permission = permission;
-    
+
     this.#eventBus.emit('notification:permission', { permission });
-    
+
     return permission === 'granted';
   }
 
@@ -22,6 +40,58 @@ export class NotificationManager {
     return this.#permission === 'granted';
   }
 
+  async getSubscription() {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.ready;
+    this.subscription = await registration.pushManager.getSubscription();
+    return this.subscription;
+  }
+
+  // Subscribes with the server VAPID key and registers the endpoint
+  async subscribe(token) {
+    if (!isPushSupported()) throw new Error('Push is not supported');
+    const granted = await this.requestPermission();
+    if (!granted) throw new Error('Notification permission denied');
+
+    const { publicKey } = await this.#request('GET', '/key');
+    const applicationServerKey = fromBase64Url(publicKey);
+    const registration = await navigator.serviceWorker.ready;
+    const { pushManager } = registration;
+    let subscription = await pushManager.getSubscription();
+    const current = subscription?.options.applicationServerKey;
+    // Server keys changed: the old endpoint can no longer be used
+    if (subscription && !sameKey(current, applicationServerKey)) {
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+    if (!subscription) {
+      const options = { userVisibleOnly: true, applicationServerKey };
+      subscription = await pushManager.subscribe(options);
+    }
+
+    await this.#request('POST', '/subscribe', subscription.toJSON(), token);
+    this.subscription = subscription;
+    const { endpoint } = subscription;
+    this.#eventBus.emit('notification:subscribed', { endpoint });
+    return subscription;
+  }
+
+  async unsubscribe(token) {
+    const subscription = await this.getSubscription();
+    if (!subscription) return false;
+
+    const { endpoint } = subscription;
+    try {
+      await this.#request('DELETE', '/subscribe', { endpoint }, token);
+    } catch (error) {
+      console.warn('Push endpoint was not removed from the server:', error);
+    }
+    await subscription.unsubscribe();
+    this.subscription = null;
+    this.#eventBus.emit('notification:unsubscribed', { endpoint });
+    return true;
+  }
+
   isPageVisible() {
     return !document.hidden;
   }
@@ -51,4 +121,15 @@ export class NotificationManager {
 
     return notification;
   }
+
+  async #request(method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const init = { method, headers };
+    if (body) init.body = JSON.stringify(body);
+    const response = await fetch(this.#pushUrl + path, init);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+  }
 }
@@ -0,0 +1,85 @@
+export class PresenceStore {
+  #eventBus;
+  #members = new Map();
+  #typing = new Map();
+
+  constructor(eventBus) {
+    this.#eventBus = eventBus;
+    this.userId = null;
+    this.#setupListeners();
+  }
+
+  list() {
+    return [...this.#members.values()];
+  }
+
+  get(userId) {
+    return this.#members.get(userId) || null;
+  }
+
+  nameOf(userId) {
+    return this.#members.get(userId)?.name || userId;
+  }
+
+  typingIn(room) {
+    const typists = this.#typing.get(room);
+    return typists ? [...typists].map((userId) => this.nameOf(userId)) : [];
+  }
+
+  reset(members = []) {
+    this.#members.clear();
+    this.#typing.clear();
+    for (const member of members) this.#members.set(member.userId, member);
+    this.#emitChanged();
+  }
+
+  update({ userId, name, status }) {
+    if (status === 'offline') {
+      this.#members.delete(userId);
+      for (const room of this.#typing.keys()) this.#setTyping(room, userId);
+    } else {
+      this.#members.set(userId, { userId, name, status });
+    }
+    this.#emitChanged();
+  }
+
+  #setTyping(room, userId, typing = false) {
+    let typists = this.#typing.get(room);
+    if (!typists) {
+      if (!typing) return;
+      typists = new Set();
+      this.#typing.set(room, typists);
+    }
+    const changed = typing ? !typists.has(userId) : typists.has(userId);
+    if (typing) typists.add(userId);
+    else typists.delete(userId);
+    if (typists.size === 0) this.#typing.delete(room);
+    if (changed) {
+      const users = this.typingIn(room);
+      this.#eventBus.emit('presence:typing', { room, users });
+    }
+  }
+
+  #emitChanged() {
+    this.#eventBus.emit('presence:changed', { members: this.list() });
+  }
+
+  #setupListeners() {
+    this.#eventBus.on('worker:connected', (data) => {
+      this.userId = data.userId;
+      this.reset(data.members);
+    });
+
+    this.#eventBus.on('worker:presence', (data) => {
+      this.update(data);
+    });
+
+    this.#eventBus.on('worker:typing', ({ room, userId }) => {
+      this.#setTyping(room, userId, true);
+    });
+
+    this.#eventBus.on('worker:stoppedTyping', ({ room, userId }) => {
+      this.#setTyping(room, userId);
+    });
+  }
+}
@@ -1,9 +1,24 @@
 import { EventBus } from './event-bus.js';
 
+const REQUEST_TIMEOUT = 10000;
+
+// A failed request: worker errors keep their `code` and `details`
+export class RequestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
 export class ServiceWorkerAdapter {
   #worker;
+  #registration = null;
   #eventBus;
   #messageHandlers = new Map();
+  #pending = new Map();
+  #updating = false;
 
   constructor(eventBus) {
     this.#eventBus = eventBus || new EventBus();
@@ -16,16 +31,19 @@ export class ServiceWorkerAdapter {
         type: 'module',
         scope: '/',
       });
-      
+
       await navigator.serviceWorker.ready;
-      
+
       this.#worker = registration.active;
+      this.#registration = registration;
       this.ready = true;
-      
+
       this.#setupMessageListener();
-      
+      this.#setupControllerListener();
+      this.#watchUpdates(registration);
+
       this.#eventBus.emit('worker:ready', { worker: this.#worker });
-      
+
       return registration;
     } catch (error) {
       this.#eventBus.emit('worker:error', { error });
@@ -48,6 +66,64 @@ export class ServiceWorkerAdapter {
     }
   }
 
+  // Resolves with the handler's result, rejects with a RequestError
+  request(command, { timeout = REQUEST_TIMEOUT, signal } = {}) {
+    if (!this.#worker) {
+      const error = new RequestError('not_ready', 'Service Worker not ready');
+      return Promise.reject(error);
+    }
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const message = command.toJSON();
+    const { requestId } = message;
+    const response = new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        this.#pending.get(requestId)?.reject(signal.reason);
+      };
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.#pending.delete(requestId);
+        callback(value);
+      };
+      this.#pending.set(requestId, {
+        resolve: settle(resolve),
+        reject: settle(reject),
+      });
+      timer = setTimeout(() => {
+        const text = `${command.type} timed out after ${timeout}ms`;
+        const error = new RequestError('timeout', text);
+        this.#pending.get(requestId)?.reject(error);
+      }, timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      this.#worker.postMessage(message);
+    } catch (error) {
+      this.#pending.get(requestId)?.reject(error);
+    }
+    return response;
+  }
+
+  // The waiting worker activates on `skipWaiting`; the page reloads after
+  applyUpdate(command) {
+    const waiting = this.#registration?.waiting;
+    if (!waiting) {
+      console.warn('No waiting Service Worker');
+      return false;
+    }
+
+    this.#updating = true;
+    waiting.postMessage(command.toJSON());
+    return true;
+  }
+
+  hasUpdate() {
+    return Boolean(this.#registration?.waiting);
+  }
+
   onMessage(type, handler) {
     if (!this.#messageHandlers.has(type)) {
       this.#messageHandlers.set(type, new Set());
@@ -65,9 +141,13 @@ export class ServiceWorkerAdapter {
   #setupMessageListener() {
     navigator.serviceWorker.addEventListener('message', (event) => {
       const { type, ...data } = event.data;
-      
+      if (type === 'response') {
+        this.#settle(data);
+        return;
+      }
+
       this.#eventBus.emit(`worker:${type}`, data);
-      
+
       const handlers = this.#messageHandlers.get(type);
       if (handlers) {
         handlers.forEach((handler) => {
@@ -81,6 +161,48 @@ export class ServiceWorkerAdapter {
     });
   }
 
+  // Replies to `send()` have no pending entry; only their errors are logged
+  #settle({ requestId, ok, result, error }) {
+    const pending = this.#pending.get(requestId);
+    if (ok) {
+      pending?.resolve(result);
+      return;
+    }
+    const { code, message, details } = error;
+    if (pending) pending.reject(new RequestError(code, message, details));
+    else console.warn(`Service Worker command failed (${code}):`, message);
+  }
+
+  #watchUpdates(registration) {
+    // A first install has no controller: nothing to update yet
+    const announce = (worker) => {
+      if (!navigator.serviceWorker.controller) return;
+      this.#eventBus.emit('worker:updateAvailable', { worker });
+    };
+
+    if (registration.waiting) announce(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+      const installing = registration.installing;
+      if (!installing) return;
+      installing.addEventListener('statechange', () => {
+        if (installing.state === 'installed') announce(installing);
+      });
+    });
+  }
+
+  #setupControllerListener() {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      this.#worker = navigator.serviceWorker.controller;
+      this.#eventBus.emit('worker:controllerChanged', { worker: this.#worker });
+
+      // Only reload for an update the user accepted, and only once
+      if (!this.#updating) return;
+      this.#updating = false;
+      window.location.reload();
+    });
+  }
+
   getEventBus() {
     return this.#eventBus;
   }
@@ -0,0 +1,107 @@
+const CHANNEL = 'pwa-tabs';
+const INTERVAL = 2000;
+const TIMEOUT = 5000;
+// Time for other tabs to answer `hello` before the first election
+const SETTLE = 200;
+
+// The oldest live tab leads; ties are broken by id
+const precedes = (a, b) =>
+  a.startedAt === b.startedAt ? a.id < b.id : a.startedAt < b.startedAt;
+
+const openChannel = (name) => new BroadcastChannel(name);
+
+// Leader election over BroadcastChannel: every tab announces itself each
+// `interval`, tabs silent for `timeout` ms (or gone with `bye`) are dropped.
+// `now`, `timers` and `openChannel` can be replaced, e.g. by a fake clock.
+export class TabCoordinator {
+  #eventBus;
+  #channel = null;
+  #timer = null;
+  #settleTimer = null;
+  #ready = false;
+  #peers = new Map();
+  #leaderId = null;
+
+  constructor(eventBus, options = {}) {
+    this.#eventBus = eventBus;
+    this.channelName = options.channelName || CHANNEL;
+    this.interval = options.interval || INTERVAL;
+    this.timeout = options.timeout || TIMEOUT;
+    this.settle = options.settle ?? SETTLE;
+    this.now = options.now || Date.now;
+    this.timers = options.timers || globalThis;
+    this.openChannel = options.openChannel || openChannel;
+    this.id = crypto.randomUUID();
+    this.startedAt = this.now();
+  }
+
+  start() {
+    if (this.#channel) return;
+    this.#channel = this.openChannel(this.channelName);
+    this.#channel.onmessage = ({ data }) => this.#receive(data);
+    this.#announce('hello');
+    this.#settleTimer = this.timers.setTimeout(() => {
+      this.#ready = true;
+      this.#elect();
+    }, this.settle);
+    this.#timer = this.timers.setInterval(() => {
+      this.#announce('alive');
+      this.#elect();
+    }, this.interval);
+  }
+
+  stop() {
+    if (!this.#channel) return;
+    this.timers.clearInterval(this.#timer);
+    this.timers.clearTimeout(this.#settleTimer);
+    this.#announce('bye');
+    this.#channel.close();
+    this.#channel = null;
+    this.#peers.clear();
+    this.#ready = false;
+    this.#leaderId = null;
+  }
+
+  isLeader() {
+    return this.#leaderId === this.id;
+  }
+
+  get leaderId() {
+    return this.#leaderId;
+  }
+
+  get count() {
+    return this.#peers.size + 1;
+  }
+
+  #announce(type) {
+    const { id, startedAt } = this;
+    this.#channel.postMessage({ type, id, startedAt });
+  }
+
+  #receive({ type, id, startedAt }) {
+    if (type === 'bye') {
+      this.#peers.delete(id);
+    } else {
+      const known = this.#peers.has(id);
+      this.#peers.set(id, { id, startedAt, seenAt: this.now() });
+      // Newcomers learn about this tab without waiting a full interval
+      if (type === 'hello' && !known) this.#announce('alive');
+    }
+    this.#elect();
+  }
+
+  #elect() {
+    if (!this.#ready) return;
+    const expired = this.now() - this.timeout;
+    let leader = { id: this.id, startedAt: this.startedAt };
+    for (const peer of this.#peers.values()) {
+      if (peer.seenAt < expired) this.#peers.delete(peer.id);
+      else if (precedes(peer, leader)) leader = peer;
+    }
+    if (leader.id === this.#leaderId) return;
+    this.#leaderId = leader.id;
+    const isLeader = this.isLeader();
+    this.#eventBus.emit('tabs:leader', { isLeader, leaderId: leader.id });
+  }
+}
@@ -0,0 +1,335 @@
+// Chat wire protocol shared by server.js, the service worker and the page
+
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+// Clients that offer no version (and frames without `v`) speak version 1
+const DEFAULT_VERSION = 1;
+
+// Offered as extra WebSocket subprotocols: `chat, chat.v1, auth.<token>`
+export const VERSION_PROTOCOL_PREFIX = 'chat.v';
+
+// The server closes sockets that share no version with this code
+export const UNSUPPORTED_VERSION = 4002;
+
+export const RECEIPT_STATUSES = ['delivered', 'read'];
+export const PRESENCE_STATUSES = ['online', 'away', 'busy'];
+export const REACTION_ACTIONS = ['add', 'remove'];
+
+const ROOM = { type: 'string', pattern: /^[\w-]{1,64}$/ };
+const ID = { type: 'string', maxLength: 64 };
+const REQUIRED_ID = { ...ID, required: true };
+const TEXT = { type: 'string' };
+const COUNT = { type: 'integer', min: 0 };
+const LIST = { type: 'array' };
+const FLAG = { type: 'boolean' };
+const EMOJI = { type: 'string', required: true, maxLength: 16 };
+// Users per emoji: `{ "👍": ["ann", "bob"] }`
+const REACTIONS = { type: 'object' };
+
+// Fields use the rules of lib/schema.js; `sanitize` is applied by the server
+// `client` frames are sent by clients, `server` frames by the server
+export const FRAMES = {
+  auth: {
+    client: { token: { type: 'string', required: true } },
+  },
+  connected: {
+    server: {
+      clientId: REQUIRED_ID,
+      userId: REQUIRED_ID,
+      userCount: COUNT,
+      room: ROOM,
+      members: LIST,
+      recentMessages: LIST,
+      protocol: { type: 'object', required: true },
+    },
+  },
+  message: {
+    client: {
+      content: { type: 'string', required: true, sanitize: true },
+      room: ROOM,
+      // A user or client id: a direct message instead of a room message
+      to: ID,
+      tempId: ID,
+      // Id returned by `POST /api/uploads`
+      attachment: ID,
+    },
+    server: {
+      id: REQUIRED_ID,
+      content: { type: 'string', required: true },
+      room: ROOM,
+      // Recipient user of a direct message
+      to: ID,
+      clientId: ID,
+      userId: ID,
+      timestamp: TEXT,
+      // Upload metadata: id, name, type, size, url, width, height, previewSize
+      attachment: { type: 'object' },
+      editedAt: TEXT,
+      // Deleted messages stay in history as tombstones without content
+      deleted: FLAG,
+      deletedAt: TEXT,
+      reactions: REACTIONS,
+    },
+  },
+  // Only the author may edit or delete a message
+  edit: {
+    client: {
+      id: REQUIRED_ID,
+      content: { type: 'string', required: true, sanitize: true },
+    },
+    server: {
+      id: REQUIRED_ID,
+      room: ROOM,
+      to: ID,
+      content: { type: 'string', required: true },
+      userId: ID,
+      editedAt: TEXT,
+    },
+  },
+  delete: {
+    client: { id: REQUIRED_ID },
+    server: {
+      id: REQUIRED_ID,
+      room: ROOM,
+      to: ID,
+      userId: ID,
+      deletedAt: TEXT,
+    },
+  },
+  react: {
+    client: {
+      id: REQUIRED_ID,
+      emoji: { ...EMOJI, sanitize: true },
+      action: { type: 'string', enum: REACTION_ACTIONS },
+    },
+    server: {
+      id: REQUIRED_ID,
+      room: ROOM,
+      to: ID,
+      emoji: EMOJI,
+      action: { type: 'string', required: true, enum: REACTION_ACTIONS },
+      userId: ID,
+      reactions: { ...REACTIONS, required: true },
+    },
+  },
+  ack: {
+    server: {
+      tempId: ID,
+      id: REQUIRED_ID,
+      room: ROOM,
+      to: ID,
+      timestamp: TEXT,
+    },
+  },
+  receipt: {
+    client: {
+      id: REQUIRED_ID,
+      status: { type: 'string', required: true, enum: RECEIPT_STATUSES },
+    },
+    server: {
+      id: REQUIRED_ID,
+      status: { type: 'string', required: true, enum: RECEIPT_STATUSES },
+      userId: ID,
+      timestamp: TEXT,
+    },
+  },
+  presence: {
+    client: {
+      name: { type: 'string', sanitize: true, maxLength: 32 },
+      status: { type: 'string', enum: PRESENCE_STATUSES },
+    },
+    server: {
+      userId: REQUIRED_ID,
+      name: TEXT,
+      status: { type: 'string', enum: [...PRESENCE_STATUSES, 'offline'] },
+    },
+  },
+  typing: {
+    client: { room: ROOM },
+    server: { userId: REQUIRED_ID, name: TEXT, room: ROOM },
+  },
+  stoppedTyping: {
+    client: { room: ROOM },
+    server: { userId: REQUIRED_ID, room: ROOM },
+  },
+  join: {
+    client: { room: { ...ROOM, required: true } },
+  },
+  joined: {
+    server: { room: { ...ROOM, required: true }, members: LIST },
+  },
+  userJoined: {
+    server: { clientId: ID, userId: ID, room: ROOM, count: COUNT },
+  },
+  leave: {
+    client: { room: { ...ROOM, required: true } },
+  },
+  left: {
+    server: { room: { ...ROOM, required: true } },
+  },
+  userLeft: {
+    server: { clientId: ID, userId: ID, room: ROOM, count: COUNT },
+  },
+  history: {
+    client: {
+      room: ROOM,
+      // The conversation with this user instead of the room
+      peer: ID,
+      before: { type: ['string', 'integer'], maxLength: 64 },
+      limit: { type: 'integer', min: 1 },
+    },
+    server: {
+      room: ROOM,
+      peer: ID,
+      messages: { ...LIST, required: true },
+    },
+  },
+  userCount: {
+    server: { count: COUNT },
+  },
+  ping: { client: {} },
+  pong: { server: {} },
+  error: {
+    server: { code: { type: 'string', required: true }, error: TEXT },
+  },
+};
+
+export class ProtocolError extends Error {
+  constructor(code, message, errors = []) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const actual = typeOf(value);
+  const types = [expected].flat();
+  if (types.includes(actual)) return true;
+  return actual === 'integer' && types.includes('number');
+};
+
+const checkField = (name, rule, value) => {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+  if (!matchesType(value, rule.type)) {
+    return `${name} must be ${[rule.type].flat().join(' or ')}`;
+  }
+  const { maxLength, pattern, min, max } = rule;
+  if (typeof value === 'string') {
+    if (maxLength !== undefined && value.length > maxLength) {
+      return `${name} exceeds ${maxLength} characters`;
+    }
+    if (pattern && !pattern.test(value)) return `${name} has invalid format`;
+  }
+  if (min !== undefined && value < min) {
+    return `${name} must be at least ${min}`;
+  }
+  if (max !== undefined && value > max) {
+    return `${name} must be at most ${max}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+  return null;
+};
+
+export const isFrameType = (type, sender) =>
+  Object.hasOwn(FRAMES, type) && Boolean(FRAMES[type][sender]);
+
+// Field rules per type for one sender, e.g. for lib/schema.js `validate`
+export const schemas = (sender, overrides = {}) => {
+  const result = {};
+  for (const [type, frame] of Object.entries(FRAMES)) {
+    if (!frame[sender]) continue;
+    const fields = { ...frame[sender] };
+    for (const [name, rule] of Object.entries(overrides[type] || {})) {
+      fields[name] = { ...fields[name], ...rule };
+    }
+    result[type] = fields;
+  }
+  return result;
+};
+
+// Field errors of a frame; fields the spec does not declare pass through
+export const check = (frame, sender) => {
+  const { type } = frame;
+  if (!isFrameType(type, sender)) return [`unknown message type: ${type}`];
+  const errors = [];
+  for (const [name, rule] of Object.entries(FRAMES[type][sender])) {
+    const error = checkField(name, rule, frame[name]);
+    if (error) errors.push(error);
+  }
+  return errors;
+};
+
+export const isSupported = (version) => SUPPORTED_VERSIONS.includes(version);
+
+export const encode = (frame, sender = 'client') => {
+  const errors = check(frame, sender);
+  if (errors.length > 0) {
+    throw new ProtocolError('invalid_frame', errors.join('; '), errors);
+  }
+  return JSON.stringify({ ...frame, v: PROTOCOL_VERSION });
+};
+
+// → `{ frame }` or `{ error: { code, error, ... } }`, never throws
+export const decode = (data, sender = 'server') => {
+  let frame = null;
+  try {
+    frame = JSON.parse(data);
+  } catch {
+    return { error: { code: 'invalid_json', error: 'Malformed JSON' } };
+  }
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    const errors = ['frame must be a JSON object'];
+    return { error: { code: 'invalid_frame', error: errors[0], errors } };
+  }
+  const { v: version = DEFAULT_VERSION, ...fields } = frame;
+  // Lets the sender match the error to its request
+  const context = {
+    requestType: typeof frame.type === 'string' ? frame.type : undefined,
+    tempId: typeof frame.tempId === 'string' ? frame.tempId : undefined,
+  };
+  if (!isSupported(version)) {
+    const error = `Unsupported protocol version: ${version}`;
+    const supported = SUPPORTED_VERSIONS;
+    const details = { ...context, supported };
+    return { error: { code: 'unsupported_version', error, ...details } };
+  }
+  const errors = check(fields, sender);
+  if (errors.length > 0) {
+    const error = { code: 'invalid_frame', error: errors.join('; '), errors };
+    return { error: { ...error, ...context } };
+  }
+  return { frame: fields, version };
+};
+
+export const versionProtocols = (versions = SUPPORTED_VERSIONS) =>
+  versions.map((version) => VERSION_PROTOCOL_PREFIX + version);
+
+export const versionsFromProtocols = (protocols) => {
+  const versions = [];
+  for (const protocol of protocols) {
+    if (!protocol.startsWith(VERSION_PROTOCOL_PREFIX)) continue;
+    const version = Number(protocol.substring(VERSION_PROTOCOL_PREFIX.length));
+    if (Number.isInteger(version)) versions.push(version);
+  }
+  return versions;
+};
+
+// Highest version both sides speak, or null when there is none
+export const negotiate = (offered = []) => {
+  if (offered.length === 0) return DEFAULT_VERSION;
+  const common = offered.filter(isSupported);
+  return common.length > 0 ? Math.max(...common) : null;
+};
@@ -1,19 +1,180 @@
 import { CacheManager } from './worker/cache-manager.js';
 import { NetworkManager } from './worker/network-manager.js';
 import { MessageManager } from './worker/message-manager.js';
+import { Outbox } from './worker/outbox.js';
+import { SyncRegistry } from './worker/sync-registry.js';
+import { TabRegistry } from './worker/tab-registry.js';
+import { check } from './protocol.js';
+
+const SYNC_CONNECT_TIMEOUT = 10000;
+const CACHE_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Thrown by message handlers; `code` and `details` reach the page
+class HandlerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'HandlerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const serializeError = (error) => ({
+  name: error.name,
+  code: error.code || 'handler_failed',
+  message: error.message,
+  details: error.details || {},
+});
 
 const cacheManager = new CacheManager();
 const networkManager = new NetworkManager(cacheManager);
 const messageManager = new MessageManager();
+const outbox = new Outbox();
+const tabs = new TabRegistry();
+
+// Last presence set by a page, restored after every reconnect
+let presence = null;
+
+const broadcast = async (packet, exclude = null) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  for (const client of clients) {
+    if (client !== exclude) client.postMessage(packet);
+  }
+};
+
+const reportOutbox = async () => {
+  const records = await outbox.list();
+  const pending = records.map(({ tempId }) => tempId);
+  const packet = { type: 'outbox', size: pending.length, pending };
+  await broadcast(packet);
+  return packet;
+};
+
+// Reconciles the registry with live windows and tells every tab
+const reportTabs = async (leaving = null) => {
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  const live = windows.filter(({ id }) => id !== leaving);
+  tabs.sync(live.map(({ id }) => id));
+  const list = tabs.list().map((tab) => {
+    const client = live.find(({ id }) => id === tab.id);
+    const { url, focused, visibilityState } = client;
+    const { id, joinedAt } = tab;
+    return { id, url, focused, visibilityState, joinedAt };
+  });
+  await broadcast({ type: 'tabs', count: list.length, tabs: list });
+  return list;
+};
+
+const settleOutbox = async ({ tempId }) => {
+  if (!tempId) return;
+  const removed = await outbox.remove(tempId);
+  if (removed) await reportOutbox();
+};
+
+let retryTimer = null;
+let flushing = null;
+
+const replayOutbox = async () => {
+  try {
+    const sent = await outbox.flush((packet) => messageManager.send(packet));
+    await reportOutbox();
+    return sent;
+  } catch (error) {
+    console.error('Service Worker: Outbox replay failed:', error);
+    return 0;
+  }
+};
+
+// Callers during a replay share it instead of sending the queue twice
+const flushOutbox = () => {
+  flushing ??= replayOutbox().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+};
+
+// Rate-limited messages stay queued and are replayed once the budget refills
+const retryOutbox = (delay) => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (messageManager.isOpen()) flushOutbox();
+  }, delay);
+};
+
+const waitForOpen = (timeout) => {
+  const { promise, resolve, reject } = Promise.withResolvers();
+  if (messageManager.isOpen()) {
+    resolve();
+    return promise;
+  }
+  let timer = null;
+  const onOpen = () => {
+    clearTimeout(timer);
+    messageManager.off('open', onOpen);
+    resolve();
+  };
+  timer = setTimeout(() => {
+    messageManager.off('open', onOpen);
+    reject(new Error('Connection timed out'));
+  }, timeout);
+  messageManager.on('open', onOpen);
+  messageManager.connect();
+  return promise;
+};
+
+const syncRegistry = new SyncRegistry({
+  registration: self.registration,
+  report: (packet) => broadcast(packet),
+});
+
+syncRegistry.register('outbox', async () => {
+  const queued = await outbox.size();
+  if (queued === 0) return { sent: 0 };
+  if (!messageManager.isOpen()) await waitForOpen(SYNC_CONNECT_TIMEOUT);
+  // Joins the replay the `open` listener started
+  return { sent: await flushOutbox() };
+});
+
+syncRegistry.register(
+  'cache',
+  async () => {
+    const results = await cacheManager.updateCache();
+    const fetched = results.filter(({ status }) => status === 'fetched');
+    return { fetched: fetched.length, total: results.length };
+  },
+  { minInterval: CACHE_REFRESH_INTERVAL },
+);
+
+messageManager.on('open', async () => {
+  if (presence) messageManager.send(presence);
+  await flushOutbox();
+});
+
+messageManager.on('ack', (message) => {
+  settleOutbox(message).catch((error) => {
+    console.error('Service Worker: Outbox update failed:', error);
+  });
+});
+
+// Rejected by the server: retrying would fail again
+messageManager.on('error', (message) => {
+  if (message.code === 'rate_limited') {
+    retryOutbox(message.retryAfter);
+    return;
+  }
+  settleOutbox(message).catch((error) => {
+    console.error('Service Worker: Outbox update failed:', error);
+  });
+});
 
 self.addEventListener('install', (event) => {
   console.log('Service Worker: Installing...');
-  event.waitUntil(
-    (async () => {
-      await cacheManager.install();
-      await self.skipWaiting();
-    })()
-  );
+  // Stays waiting until a page sends `skipWaiting`
+  event.waitUntil(cacheManager.install());
 });
 
 self.addEventListener('activate', (event) => {
@@ -22,71 +183,229 @@ self.addEventListener('activate', (event) => {
     (async () => {
       await cacheManager.cleanup();
       await self.clients.claim();
+      await syncRegistry.registerPeriodic();
       console.log('Service Worker: Activated successfully');
     })()
   );
 });
 
 self.addEventListener('fetch', (event) => {
-  event.respondWith(networkManager.handleFetch(event.request));
+  event.respondWith(networkManager.handleFetch(event.request, event));
+});
+
+const readPush = (event) => {
+  if (!event.data) return {};
+  try {
+    return event.data.json();
+  } catch {
+    return { body: event.data.text() };
+  }
+};
+
+const showPush = async (data) => {
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  // A focused chat already shows the message
+  const focused = windows.some((client) => client.focused);
+  if (data.type === 'message' && focused) return;
+  const { title = 'PWA Example', body = '', room } = data;
+  await self.registration.showNotification(title, {
+    body,
+    icon: '/icon.svg',
+    badge: '/icon.svg',
+    tag: room ? `room:${room}` : 'push',
+    renotify: Boolean(room),
+    data,
+  });
+};
+
+const openChat = async (data) => {
+  const { scope } = self.registration;
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  const client = windows.find(({ url }) => url.startsWith(scope));
+  if (!client) {
+    await self.clients.openWindow(scope);
+    return;
+  }
+  await client.focus();
+  client.postMessage({ type: 'notificationClick', data });
+};
+
+self.addEventListener('push', (event) => {
+  const data = readPush(event);
+  console.log('Service Worker: Push received', data);
+  event.waitUntil(showPush(data));
 });
 
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(openChat(event.notification.data || {}));
+});
+
+self.addEventListener('sync', (event) => {
+  console.log('Service Worker: Background sync', event.tag);
+  syncRegistry.handleEvent(event, 'sync');
+});
+
+self.addEventListener('periodicsync', (event) => {
+  console.log('Service Worker: Periodic sync', event.tag);
+  syncRegistry.handleEvent(event, 'periodicsync');
+});
+
+// Changes to sent messages are not queued: they need the socket
+const sendChange = (packet) => {
+  const errors = check(packet, 'client');
+  if (errors.length > 0) {
+    throw new HandlerError('invalid_frame', errors.join('; '), { errors });
+  }
+  if (!messageManager.send(packet)) {
+    throw new HandlerError('not_connected', `Cannot ${packet.type} offline`);
+  }
+};
+
 const messageHandlers = {
-  connect: () => {
+  connect: async (event) => {
+    const { token } = event.data;
+    if (token) {
+      messageManager.token = token;
+      networkManager.token = token;
+    }
+    tabs.add(event.source.id);
     messageManager.connect();
+    syncRegistry.schedule();
+    event.source.postMessage(messageManager.snapshot());
+    await reportTabs();
   },
-  disconnect: () => {
-    messageManager.disconnect();
+  // A closing tab leaves; the socket stays open while other tabs use it
+  disconnect: async (event) => {
+    tabs.remove(event.source.id);
+    const remaining = await reportTabs(event.source.id);
+    if (remaining.length === 0) messageManager.disconnect();
+    return { tabs: remaining.length };
   },
+  tabs: () => reportTabs(),
   online: () => {
     messageManager.connect();
+    syncRegistry.schedule();
   },
   offline: () => {
     messageManager.disconnect();
   },
-  message: (event) => {
-    const packet = { type: 'message', content: event.data.content };
-    const sent = messageManager.send(packet);
-    
-    // Broadcast всім крім відправника
-    if (sent) {
-      self.clients.matchAll({ includeUncontrolled: true }).then((clients) => {
-        clients.forEach((client) => {
-          if (client !== event.source) {
-            client.postMessage(packet);
-          }
-        });
-      });
+  message: async (event) => {
+    const { content, room, to, tempId, attachment } = event.data;
+    const packet = { type: 'message', content, room, to, tempId, attachment };
+    // Invalid frames would block the outbox replay
+    const errors = check(packet, 'client');
+    if (errors.length > 0) {
+      throw new HandlerError('invalid_frame', errors.join('; '), { errors });
     }
+    const queued = await outbox.add(packet);
+    if (!queued) return;
+    if (messageManager.isOpen()) messageManager.send(packet);
+    else await syncRegistry.request('outbox');
+    await reportOutbox();
+
+    // Broadcast всім крім відправника
+    await broadcast(packet, event.source);
+  },
+  outbox: () => reportOutbox(),
+  receipt: (event) => {
+    const { id, status } = event.data;
+    messageManager.send({ type: 'receipt', id, status });
+  },
+  edit: (event) => {
+    const { id, content } = event.data;
+    sendChange({ type: 'edit', id, content });
+  },
+  delete: (event) => {
+    sendChange({ type: 'delete', id: event.data.id });
+  },
+  react: (event) => {
+    const { id, emoji, action } = event.data;
+    sendChange({ type: 'react', id, emoji, action });
+  },
+  presence: (event) => {
+    const { name, status } = event.data;
+    presence = { type: 'presence', name, status };
+    messageManager.send(presence);
+  },
+  typing: (event) => {
+    messageManager.send({ type: 'typing', room: event.data.room });
+  },
+  stoppedTyping: (event) => {
+    messageManager.send({ type: 'stoppedTyping', room: event.data.room });
+  },
+  join: (event) => {
+    messageManager.join(event.data.room);
+  },
+  leave: (event) => {
+    messageManager.leave(event.data.room);
+  },
+  history: (event) => {
+    const { before, limit, room, peer } = event.data;
+    messageManager.send({ type: 'history', before, limit, room, peer });
   },
   ping: (event) => {
     event.source.postMessage({ type: 'pong' });
   },
-  updateCache: async (event) => {
+  // Router.register() keeps only the route fields of the command
+  route: async (event) => {
+    try {
+      return await networkManager.router.register(event.data);
+    } catch (error) {
+      throw new HandlerError('invalid_route', error.message);
+    }
+  },
+  cacheStats: () => cacheManager.stats(),
+  updateCache: async () => {
     console.log('Service Worker: Manual cache update requested');
+    const version = cacheManager.cacheVersion;
     try {
-      await cacheManager.updateCache();
-      event.source.postMessage({ type: 'cacheUpdated' });
+      const results = await cacheManager.updateCache();
+      return { version, results };
     } catch (error) {
-      event.source.postMessage({
-        type: 'cacheUpdateFailed',
-        error: error.message,
-      });
+      const results = error.results || [];
+      const details = { version, results };
+      throw new HandlerError('precache_failed', error.message, details);
     }
   },
+  skipWaiting: () => {
+    console.log('Service Worker: Update accepted, activating');
+    return self.skipWaiting();
+  },
 };
 
+// Every command with a `requestId` gets exactly one `response`
 self.addEventListener('message', (event) => {
-  console.log('Service Worker: received message', event.data);
-  
-  const { type } = event.data;
-  const handler = messageHandlers[type];
-  
+  const { type, requestId } = event.data;
+  const handler = Object.hasOwn(messageHandlers, type)
+    ? messageHandlers[type]
+    : null;
+  const reply = (response) => {
+    if (!requestId) return;
+    event.source?.postMessage({ type: 'response', requestId, ...response });
+  };
+
   if (handler) {
-    handler(event);
+    const result = Promise.resolve()
+      .then(() => handler(event))
+      .then(
+        (value) => reply({ ok: true, result: value }),
+        (error) => {
+          console.error(`Service Worker: ${type} handler failed:`, error);
+          reply({ ok: false, error: serializeError(error) });
+        },
+      );
+    event.waitUntil(result);
   } else {
     console.warn('Service Worker: Unknown message type:', type);
+    const error = new HandlerError('unknown_type', `Unknown type: ${type}`);
+    reply({ ok: false, error: serializeError(error) });
   }
 });
 
-messageManager.connect();
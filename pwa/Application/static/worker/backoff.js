@@ -0,0 +1,17 @@
+export const BACKOFF_DEFAULTS = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5,
+  maxAttempts: 10,
+};
+
+export const backoffDelay = (attempt, options = {}, random = Math.random) => {
+  const { baseDelay, maxDelay, factor, jitter } = {
+    ...BACKOFF_DEFAULTS,
+    ...options,
+  };
+  const exponential = baseDelay * factor ** Math.max(attempt - 1, 0);
+  const delay = Math.min(maxDelay, exponential);
+  return Math.round(delay * (1 - jitter * random()));
+};
@@ -1,33 +1,73 @@
-const CACHE_VERSION = 'v1';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/application.js',
-  '/chat-application.js',
-  '/worker.js',
-  '/manifest.json',
-  '/icon.svg',
-  '/favicon.ico',
-  '/404.html',
-  '/framework/index.js',
-  '/framework/event-bus.js',
-  '/framework/logger.js',
-  '/framework/network-monitor.js',
-  '/framework/service-worker-adapter.js',
-  '/framework/install-manager.js',
-  '/framework/notification-manager.js',
-  '/framework/app-manager.js',
-  '/framework/commands.js',
-  '/worker/cache-manager.js',
-  '/worker/network-manager.js',
-  '/worker/message-manager.js',
-];
+import { CACHE_VERSION, PRECACHE_MANIFEST } from './precache-manifest.js';
+import { CacheMetadata, isExpired, selectEvictions } from './cache-metadata.js';
+
+const RUNTIME_PREFIX = 'runtime-';
+// Maps each precache version to its published generation cache
+const POINTERS = 'precache-pointers';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Runtime caches by name: routes choose one with `cache`, unknown names get
+// the `runtime` limits; `opaque` admits cross-origin no-cors responses
+export const RUNTIME_CACHES = {
+  runtime: { maxEntries: 100, maxAge: 7 * DAY, opaque: false },
+  // Uploaded files never change, so they stay until evicted
+  attachments: { maxEntries: 200, maxAge: 30 * DAY, opaque: false },
+};
+
+const DIGESTS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+export class PrecacheError extends Error {
+  constructor(results) {
+    const failed = results.filter(({ status }) => status === 'failed');
+    super(`Precache failed for ${failed.length} of ${results.length} assets`);
+    this.name = 'PrecacheError';
+    this.results = results;
+  }
+}
+
+const toBase64 = (buffer) =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+// `integrity` uses the Subresource Integrity format: `sha256-<base64>`
+export const verifyResponse = async (response, integrity) => {
+  if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+  if (!integrity) return;
+  const separator = integrity.indexOf('-');
+  const algorithm = DIGESTS[integrity.slice(0, separator)];
+  if (!algorithm) throw new Error(`Unsupported integrity: ${integrity}`);
+  const body = await response.clone().arrayBuffer();
+  const digest = await crypto.subtle.digest(algorithm, body);
+  if (toBase64(digest) !== integrity.slice(separator + 1)) {
+    throw new Error('Integrity mismatch');
+  }
+};
+
+// Conditional request with validators from any cached copy; 304 reuses it
+const stageAsset = async (staging, { url, integrity }) => {
+  const cached = await caches.match(url);
+  const headers = {};
+  const etag = cached?.headers.get('ETag');
+  const lastModified = cached?.headers.get('Last-Modified');
+  if (etag) headers['If-None-Match'] = etag;
+  else if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const fetched = await fetch(url, { headers, cache: 'no-store' });
+  const unchanged = fetched.status === 304 && cached;
+  const response = unchanged ? cached : fetched;
+  await verifyResponse(response, integrity);
+  await staging.put(url, response);
+  return unchanged ? 'unchanged' : 'fetched';
+};
 
 export class CacheManager {
-  constructor(cacheVersion = CACHE_VERSION) {
+  #published = null;
+
+  constructor(cacheVersion = CACHE_VERSION, metadata = new CacheMetadata()) {
     this.cacheVersion = cacheVersion;
-    this.assets = [...ASSETS];
+    this.manifest = PRECACHE_MANIFEST;
+    this.assets = PRECACHE_MANIFEST.map(({ url }) => url);
+    this.metadata = metadata;
+    this.runtimeCaches = { ...RUNTIME_CACHES };
   }
 
   async install() {
@@ -41,23 +81,45 @@ export class CacheManager {
     }
   }
 
+  // Stage every asset into a new generation cache; one pointer write
+  // publishes all of them, a failure leaves the published generation as is
   async updateCache() {
-    const cache = await caches.open(this.cacheVersion);
+    const stagingName = `${this.cacheVersion}-${crypto.randomUUID()}`;
+    const staging = await caches.open(stagingName);
     console.log('CacheManager: Updating cache...');
-    
-    for (const asset of this.assets) {
+
+    const results = [];
+    for (const asset of this.manifest) {
+      const { url } = asset;
       try {
-        await cache.add(asset);
-        console.log('CacheManager: Cached:', asset);
+        const status = await stageAsset(staging, asset);
+        results.push({ url, status });
       } catch (error) {
-        console.error('CacheManager: Failed to cache:', asset, error);
+        console.error('CacheManager: Failed to cache:', url, error);
+        results.push({ url, status: 'failed', error: error.message });
       }
     }
+
+    if (results.some(({ status }) => status === 'failed')) {
+      await caches.delete(stagingName);
+      throw new PrecacheError(results);
+    }
+    const previous = await this.#precacheName();
+    const pointers = await caches.open(POINTERS);
+    await pointers.put(this.#pointer(), new Response(stagingName));
+    this.#published = stagingName;
+    if (previous !== stagingName) await caches.delete(previous);
+    console.log(`CacheManager: Published ${results.length} assets`);
+    return results;
   }
 
-  async get(request) {
-    const cache = await caches.open(this.cacheVersion);
-    const cachedResponse = await cache.match(request);
+  // Runtime copies are fresher than the precache (e.g. networkFirst pages)
+  async get(request, name) {
+    let cachedResponse = await this.#getRuntime(request, name);
+    if (!cachedResponse) {
+      const cache = await caches.open(await this.#precacheName());
+      cachedResponse = await cache.match(request);
+    }
     
     if (cachedResponse) {
       console.log('CacheManager: Serving from cache:', request.url);
@@ -67,19 +129,67 @@ export class CacheManager {
     return null;
   }
 
-  async put(request, response) {
-    if (response.status === 200) {
-      console.log('CacheManager: Caching response:', request.url);
-      const cache = await caches.open(this.cacheVersion);
-      await cache.put(request, response.clone());
+  async put(request, response, name) {
+    const { cacheName, limits } = this.#runtime(name);
+    const opaque = response.type === 'opaque';
+    if (response.status !== 200 && !(opaque && limits.opaque)) {
+      return response;
+    }
+    console.log(`CacheManager: Caching response in ${cacheName}:`, request.url);
+    const cache = await caches.open(cacheName);
+    const length = Number(response.headers.get('Content-Length'));
+    const size = opaque ? 0 : length || (await response.clone().blob()).size;
+    await cache.put(request, response.clone());
+    try {
+      await this.metadata.record(cacheName, request.url, { size, opaque });
+      await this.#evict(cache, cacheName, limits);
+    } catch (error) {
+      console.error('CacheManager: Metadata update failed:', error);
     }
     return response;
   }
 
+  async stats() {
+    const cacheNames = await caches.keys();
+    const precacheName = await this.#precacheName();
+    const stats = [];
+    for (const cacheName of cacheNames) {
+      const cache = await caches.open(cacheName);
+      const requests = await cache.keys();
+      const entry = { name: cacheName, entries: requests.length, bytes: 0 };
+      entry.opaque = 0;
+      if (cacheName === precacheName) {
+        const paths = new Set(requests.map(({ url }) => new URL(url).pathname));
+        for (const { url, size } of this.manifest) {
+          if (paths.has(url)) entry.bytes += size;
+        }
+      } else {
+        for (const record of await this.metadata.list(cacheName)) {
+          entry.bytes += record.size;
+          if (record.opaque) entry.opaque++;
+        }
+      }
+      stats.push(entry);
+    }
+    const { storage } = navigator;
+    const estimate = storage ? await storage.estimate() : {};
+    const { usage = null, quota = null } = estimate;
+    return { caches: stats, usage, quota };
+  }
+
+  // Runtime caches outlive precache versions
   async cleanup() {
+    const keep = [await this.#precacheName(), POINTERS];
+    const pointers = await caches.open(POINTERS);
+    for (const request of await pointers.keys()) {
+      if (!request.url.endsWith(this.#pointer())) {
+        await pointers.delete(request);
+      }
+    }
     const cacheNames = await caches.keys();
     const deletePromises = cacheNames
-      .filter((cacheName) => cacheName !== this.cacheVersion)
+      .filter((cacheName) => !keep.includes(cacheName))
+      .filter((cacheName) => !cacheName.startsWith(RUNTIME_PREFIX))
       .map(async (cacheName) => {
         console.log('CacheManager: Deleting old cache:', cacheName);
         await caches.delete(cacheName);
@@ -88,16 +198,16 @@ export class CacheManager {
     await Promise.all(deletePromises);
   }
 
-  async getFallback(request) {
+  async getFallback(request, name) {
     console.log('CacheManager: Getting fallback for:', request.url);
     
-    const cachedResponse = await this.get(request);
+    const cachedResponse = await this.get(request, name);
     if (cachedResponse) {
       return cachedResponse;
     }
 
     if (request.mode === 'navigate') {
-      const cache = await caches.open(this.cacheVersion);
+      const cache = await caches.open(await this.#precacheName());
       const fallbackResponse = await cache.match('/index.html');
       if (fallbackResponse) {
         return fallbackResponse;
@@ -110,4 +220,54 @@ export class CacheManager {
       headers: { 'Content-Type': 'text/plain' },
     });
   }
+
+  #pointer() {
+    return `/${this.cacheVersion}`;
+  }
+
+  // Caches without a pointer come from before generations were published
+  async #precacheName() {
+    if (this.#published) return this.#published;
+    const pointers = await caches.open(POINTERS);
+    const pointer = await pointers.match(this.#pointer());
+    this.#published = pointer ? await pointer.text() : this.cacheVersion;
+    return this.#published;
+  }
+
+  #runtime(name = 'runtime') {
+    const limits = this.runtimeCaches[name] || this.runtimeCaches.runtime;
+    return { cacheName: RUNTIME_PREFIX + name, limits };
+  }
+
+  async #getRuntime(request, name) {
+    const { cacheName, limits } = this.#runtime(name);
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request);
+    if (!response) return null;
+    try {
+      const entry = await this.metadata.get(cacheName, request.url);
+      if (entry && isExpired(entry, limits)) {
+        console.log('CacheManager: Expired:', request.url);
+        await cache.delete(request);
+        await this.metadata.remove(cacheName, request.url);
+        return null;
+      }
+      await this.metadata.touch(cacheName, request.url);
+    } catch (error) {
+      console.error('CacheManager: Metadata lookup failed:', error);
+    }
+    return response;
+  }
+
+  async #evict(cache, cacheName, limits) {
+    const entries = await this.metadata.list(cacheName);
+    const evicted = selectEvictions(entries, limits);
+    for (const { url } of evicted) {
+      await cache.delete(url);
+      await this.metadata.remove(cacheName, url);
+    }
+    if (evicted.length > 0) {
+      console.log(`CacheManager: Evicted ${evicted.length} from ${cacheName}`);
+    }
+  }
 }
@@ -0,0 +1,85 @@
+import { openDatabase, transaction } from './idb.js';
+
+const DB_NAME = 'pwa-cache-metadata';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+const upgrade = (db) => {
+  const keyPath = ['cacheName', 'url'];
+  const store = db.createObjectStore(STORE, { keyPath });
+  store.createIndex('cacheName', 'cacheName');
+};
+
+export const isExpired = (entry, { maxAge = Infinity }, now = Date.now()) =>
+  now - entry.cachedAt >= maxAge;
+
+// Expired entries first, then the least recently used beyond `maxEntries`
+export const selectEvictions = (entries, limits, now = Date.now()) => {
+  const { maxEntries = Infinity } = limits;
+  const expired = entries.filter((entry) => isExpired(entry, limits, now));
+  const alive = entries
+    .filter((entry) => !expired.includes(entry))
+    .sort((a, b) => a.accessedAt - b.accessedAt);
+  const excess = Math.max(alive.length - maxEntries, 0);
+  return [...expired, ...alive.slice(0, excess)];
+};
+
+// Access timestamps and sizes for runtime cache entries
+export class CacheMetadata {
+  #db = null;
+
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+  }
+
+  async record(cacheName, url, { size = 0, opaque = false } = {}) {
+    const now = Date.now();
+    const entry = { cacheName, url, size, opaque, cachedAt: now };
+    entry.accessedAt = now;
+    await this.#transaction('readwrite', (store) => store.put(entry));
+    return entry;
+  }
+
+  async get(cacheName, url) {
+    return this.#transaction('readonly', (store, done) => {
+      const request = store.get([cacheName, url]);
+      request.onsuccess = () => done(request.result || null);
+    });
+  }
+
+  async touch(cacheName, url) {
+    return this.#transaction('readwrite', (store, done) => {
+      const request = store.get([cacheName, url]);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (entry) {
+          entry.accessedAt = Date.now();
+          store.put(entry);
+        }
+        done(Boolean(entry));
+      };
+    });
+  }
+
+  async remove(cacheName, url) {
+    await this.#transaction('readwrite', (store) => {
+      store.delete([cacheName, url]);
+    });
+  }
+
+  async list(cacheName) {
+    return this.#transaction('readonly', (store, done) => {
+      const request = store.index('cacheName').getAll(cacheName);
+      request.onsuccess = () => done(request.result);
+    });
+  }
+
+  async #open() {
+    this.#db ??= await openDatabase(this.dbName, DB_VERSION, upgrade);
+    return this.#db;
+  }
+
+  async #transaction(mode, operation) {
+    return transaction(await this.#open(), STORE, mode, operation);
+  }
+}
@@ -0,0 +1,33 @@
+// Promise wrappers for the IndexedDB calls of the worker's stores
+
+// `upgrade(db)` creates the object stores of a new or older database;
+// `factory` is the IDBFactory, replaceable in tests
+export const openDatabase = (
+  name,
+  version,
+  upgrade,
+  factory = globalThis.indexedDB,
+) => {
+  const { promise, resolve, reject } = Promise.withResolvers();
+  const request = factory.open(name, version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  return promise;
+};
+
+// Runs `operation(store, done)` on one object store and resolves with the
+// value passed to `done` once the transaction commits
+export const transaction = (db, storeName, mode, operation) => {
+  const { promise, resolve, reject } = Promise.withResolvers();
+  const tx = db.transaction(storeName, mode);
+  let result;
+  tx.oncomplete = () => resolve(result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+  const done = (value) => {
+    result = value;
+  };
+  operation(tx.objectStore(storeName), done);
+  return promise;
+};
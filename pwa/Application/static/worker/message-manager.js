@@ -1,106 +1,167 @@
+import { BACKOFF_DEFAULTS, backoffDelay } from './backoff.js';
+import * as protocol from '../protocol.js';
+
+const TRANSITIONS = {
+  idle: ['connecting'],
+  connecting: ['open', 'closing', 'backoff', 'failed', 'idle'],
+  open: ['closing', 'backoff', 'failed', 'idle'],
+  closing: ['idle'],
+  backoff: ['connecting', 'idle', 'failed'],
+  failed: ['connecting', 'idle'],
+};
+
+const CLOSE_CODES = {
+  1000: 'Normal closure',
+  1001: 'Going away',
+  1005: 'No status received',
+  1006: 'Abnormal closure (no close frame)',
+  1008: 'Policy violation',
+  1009: 'Message too big',
+  1011: 'Internal server error',
+  1012: 'Service restart',
+  1013: 'Try again later',
+  1015: 'TLS handshake failure',
+  4001: 'Authentication failed',
+  [protocol.UNSUPPORTED_VERSION]: 'Unsupported protocol version',
+};
+
+// Retrying cannot help: the server rejected this client
+const FATAL_CLOSE_CODES = new Set([1008, 4001, protocol.UNSUPPORTED_VERSION]);
+
+const PROTOCOL = 'chat';
+const TOKEN_PROTOCOL_PREFIX = 'auth.';
+
 export class MessageManager {
-  constructor() {
+  constructor(options = {}) {
     this.websocket = null;
-    this.connected = false;
-    this.connecting = false;
+    this.token = null;
+    this.state = 'idle';
+    this.attempt = 0;
     this.reconnectTimer = null;
-    this.reconnectDelay = 3000;
+    this.backoff = { ...BACKOFF_DEFAULTS, ...options.backoff };
+    this.rooms = new Set();
+    this.listeners = new Map();
+    // Negotiated by the server in the `connected` frame
+    this.version = null;
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  isOpen() {
+    return this.state === 'open';
+  }
+
+  snapshot() {
+    const { state, attempt } = this;
+    const { maxAttempts } = this.backoff;
+    return { type: 'connection', state, attempt, maxAttempts };
   }
 
   async connect() {
-    if (this.connected || this.connecting) return;
-    
-    this.connecting = true;
+    if (this.state === 'connecting' || this.state === 'open') return;
+    if (this.state === 'closing') this.#release();
+    if (this.state === 'failed') this.attempt = 0;
+    this.#clearReconnect();
+
+    const scheme = self.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = `${scheme}//${self.location.host}`;
 
-    const protocol = self.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const url = `${protocol}//${self.location.host}`;
-    
     console.log('MessageManager: Connecting to:', url);
-    this.websocket = new WebSocket(url);
+    this.#transition('connecting');
+    const protocols = [PROTOCOL, ...protocol.versionProtocols()];
+    if (this.token) protocols.push(TOKEN_PROTOCOL_PREFIX + this.token);
+    const websocket = new WebSocket(url, protocols);
+    this.websocket = websocket;
 
-    this.websocket.onopen = () => {
-      this.connected = true;
-      this.connecting = false;
+    websocket.onopen = () => {
+      this.attempt = 0;
       console.log('MessageManager: Connected');
+      this.#transition('open');
       this.#broadcast({ type: 'status', connected: true });
+      for (const room of this.rooms) this.send({ type: 'join', room });
+      this.#emit('open');
     };
 
-    this.websocket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
+    websocket.onmessage = (event) => {
+      const { frame: message, error } = protocol.decode(event.data);
+      if (error) {
+        console.warn('MessageManager: Dropped frame:', error);
+        return;
+      }
+      if (message.type === 'connected') this.version = message.protocol.version;
       console.log('MessageManager: Received message:', message);
+      this.#emit(message.type, message);
       this.#broadcast(message);
     };
 
-    this.websocket.onclose = (event) => {
-      this.connected = false;
-      this.connecting = false;
-      
-      const closeCodes = {
-        1000: 'Normal closure',
-        1001: 'Going away',
-        1006: 'Abnormal closure (no close frame)',
-        1015: 'TLS handshake failure'
-      };
-      
-      const reason = closeCodes[event.code] || `Unknown (${event.code})`;
-      console.log('MessageManager: Disconnected', {
-        code: event.code,
-        reason: reason,
-        wasClean: event.wasClean
-      });
-      
-      this.#broadcast({ 
-        type: 'status', 
+    websocket.onclose = (event) => {
+      this.websocket = null;
+      this.version = null;
+      const { code, wasClean } = event;
+      const reason = CLOSE_CODES[code] || `Unknown (${code})`;
+      console.log('MessageManager: Disconnected', { code, reason, wasClean });
+
+      this.#broadcast({
+        type: 'status',
         connected: false,
-        closeCode: event.code,
-        closeReason: reason
+        closeCode: code,
+        closeReason: reason,
       });
-      
-      // Reconnect only on abnormal closure
-      if (event.code === 1006 || event.code === 1001) {
-        this.#scheduleReconnect();
+
+      const details = { closeCode: code, closeReason: reason };
+      if (this.state === 'closing') {
+        this.#transition('idle', details);
+      } else if (FATAL_CLOSE_CODES.has(code)) {
+        this.#transition('failed', details);
+      } else {
+        this.#scheduleReconnect(details);
       }
     };
 
-    this.websocket.onerror = (error) => {
-      this.connecting = false;
+    websocket.onerror = (error) => {
       console.error('MessageManager: WebSocket error', {
         type: error.type,
         target: error.target?.readyState,
-        url: url
+        url,
       });
-      
-      this.#broadcast({ 
-        type: 'error', 
+
+      this.#broadcast({
+        type: 'error',
         error: 'WebSocket connection failed',
-        url: url
+        url,
       });
     };
   }
 
   disconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
+    this.#clearReconnect();
 
     if (this.websocket) {
-      this.websocket.close();
-      this.websocket = null;
+      this.#transition('closing');
+      this.websocket.close(1000);
+      return;
     }
 
-    this.connected = false;
-    this.connecting = false;
+    this.#transition('idle');
   }
 
   send(packet) {
-    if (!this.connected) {
+    if (!this.isOpen()) {
       console.warn('MessageManager: Cannot send, not connected');
       return false;
     }
 
     try {
-      this.websocket.send(JSON.stringify(packet));
+      this.websocket.send(protocol.encode(packet));
       return true;
     } catch (error) {
       console.error('MessageManager: Send failed:', error);
@@ -108,10 +169,56 @@ export class MessageManager {
     }
   }
 
+  join(room) {
+    this.rooms.add(room);
+    return this.send({ type: 'join', room });
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+    return this.send({ type: 'leave', room });
+  }
+
+  #transition(state, details = {}) {
+    const previous = this.state;
+    if (previous === state) return;
+    if (!TRANSITIONS[previous].includes(state)) {
+      console.warn(`MessageManager: Invalid transition ${previous} → ${state}`);
+      return;
+    }
+    this.state = state;
+    console.log(`MessageManager: ${previous} → ${state}`);
+    this.#broadcast({ ...this.snapshot(), previous, ...details });
+  }
+
+  #release() {
+    const { websocket } = this;
+    if (websocket) {
+      websocket.onopen = null;
+      websocket.onmessage = null;
+      websocket.onclose = null;
+      websocket.onerror = null;
+      this.websocket = null;
+    }
+    this.#transition('idle');
+  }
+
+  #emit(type, data) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`MessageManager: Error in ${type} listener:`, error);
+      }
+    }
+  }
+
   async #broadcast(packet, exclude = null) {
     const clients = await self.clients.matchAll({ includeUncontrolled: true });
     console.log('MessageManager: Broadcasting to', clients.length, 'clients');
-    
+
     for (const client of clients) {
       if (client !== exclude) {
         client.postMessage(packet);
@@ -119,14 +226,29 @@ export class MessageManager {
     }
   }
 
-  #scheduleReconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
+  #scheduleReconnect(details) {
+    this.attempt++;
+    const { maxAttempts } = this.backoff;
+    if (this.attempt > maxAttempts) {
+      console.warn('MessageManager: Giving up after', maxAttempts, 'attempts');
+      this.#transition('failed', details);
+      return;
     }
 
+    const delay = backoffDelay(this.attempt, this.backoff);
+    this.#transition('backoff', { ...details, delay });
+
     this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       console.log('MessageManager: Reconnecting...');
       this.connect();
-    }, this.reconnectDelay);
+    }, delay);
+  }
+
+  #clearReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
   }
 }
@@ -1,17 +1,41 @@
+import { Router } from './router.js';
+
+// Built-in routes; anything unmatched uses cacheFirst (GET) or networkOnly
+export const DEFAULT_ROUTES = [
+  {
+    id: 'attachments',
+    pattern: '/api/uploads/*',
+    strategy: 'cacheFirst',
+    cache: 'attachments',
+  },
+  { id: 'api', pattern: '/api/*', strategy: 'networkOnly' },
+];
+
+const TIMED_OUT = Symbol('timeout');
+
+const timeoutAfter = (ms) => {
+  let timer = null;
+  const promise = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms, TIMED_OUT);
+  });
+  return { promise, cancel: () => clearTimeout(timer) };
+};
+
 export class NetworkManager {
-  constructor(cacheManager) {
+  constructor(cacheManager, router = new Router(DEFAULT_ROUTES)) {
     this.cacheManager = cacheManager;
+    this.router = router;
+    // Sent with API reads that have no credentials (e.g. `<img>` attachments)
+    this.token = null;
   }
 
-  async fetch(request) {
+  // `cache` names the runtime cache; CacheManager decides what is storable
+  async fetch(request, cache) {
     console.log('NetworkManager: Fetching from network:', request.url);
     
     try {
-      const networkResponse = await fetch(request);
-      
-      if (networkResponse.status === 200) {
-        await this.cacheManager.put(request, networkResponse.clone());
-      }
+      const networkResponse = await fetch(this.#authorize(request));
+      await this.cacheManager.put(request, networkResponse.clone(), cache);
       
       return networkResponse;
     } catch (error) {
@@ -20,41 +44,99 @@ export class NetworkManager {
     }
   }
 
-  async cacheFirst(request) {
-    const cachedResponse = await this.cacheManager.get(request);
+  async cacheFirst(request, { cache } = {}) {
+    const cachedResponse = await this.cacheManager.get(request, cache);
     if (cachedResponse) {
       return cachedResponse;
     }
 
     try {
-      return await this.fetch(request);
+      return await this.fetch(request, cache);
     } catch (error) {
-      return await this.cacheManager.getFallback(request);
+      return await this.cacheManager.getFallback(request, cache);
     }
   }
 
-  async networkFirst(request) {
+  async networkFirst(request, { timeout, event, cache } = {}) {
+    const network = this.fetch(request, cache);
     try {
-      return await this.fetch(request);
+      if (!timeout) return await network;
+      const timer = timeoutAfter(timeout);
+      const result = await Promise.race([network, timer.promise]);
+      timer.cancel();
+      if (result !== TIMED_OUT) return result;
+
+      // Slow network: answer from cache, let the request refresh it
+      const cachedResponse = await this.cacheManager.get(request, cache);
+      if (!cachedResponse) return await network;
+      console.log('NetworkManager: Timed out, serving cache:', request.url);
+      event?.waitUntil(network.catch(() => {}));
+      return cachedResponse;
     } catch (error) {
-      const cachedResponse = await this.cacheManager.get(request);
+      const cachedResponse = await this.cacheManager.get(request, cache);
       if (cachedResponse) {
         return cachedResponse;
       }
       
+      return await this.cacheManager.getFallback(request, cache);
+    }
+  }
+
+  async staleWhileRevalidate(request, { event, cache } = {}) {
+    const cachedResponse = await this.cacheManager.get(request, cache);
+    const network = this.fetch(request, cache);
+    if (!cachedResponse) {
+      try {
+        return await network;
+      } catch {
+        return await this.cacheManager.getFallback(request, cache);
+      }
+    }
+    const revalidate = network.catch((error) => {
+      console.log('NetworkManager: Revalidation failed:', request.url, error);
+    });
+    event?.waitUntil(revalidate);
+    return cachedResponse;
+  }
+
+  async networkOnly(request) {
+    try {
+      return await fetch(this.#authorize(request));
+    } catch (error) {
+      if (request.mode !== 'navigate') throw error;
       return await this.cacheManager.getFallback(request);
     }
   }
 
-  async handleFetch(request) {
-    if (request.method !== 'GET') {
+  async cacheOnly(request, { cache } = {}) {
+    return await this.cacheManager.getFallback(request, cache);
+  }
+
+  async handleFetch(request, event) {
+    if (!request.url.startsWith('http')) {
       return fetch(request);
     }
 
-    if (!request.url.startsWith('http')) {
+    const route = await this.router.match(request);
+    if (route) {
+      return await this[route.strategy](request, { ...route, event });
+    }
+
+    if (request.method !== 'GET') {
       return fetch(request);
     }
 
     return await this.cacheFirst(request);
   }
+
+  #authorize(request) {
+    if (!this.token || request.headers.has('Authorization')) return request;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return request;
+    const url = new URL(request.url);
+    const api = url.pathname.startsWith('/api/');
+    if (url.origin !== self.location.origin || !api) return request;
+    const headers = new Headers(request.headers);
+    headers.set('Authorization', `Bearer ${this.token}`);
+    return new Request(request, { headers, mode: 'same-origin' });
+  }
 }
@@ -0,0 +1,79 @@
+import { openDatabase, transaction } from './idb.js';
+
+const DB_NAME = 'pwa-outbox';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+const upgrade = (db) => {
+  const options = { keyPath: 'seq', autoIncrement: true };
+  const store = db.createObjectStore(STORE, options);
+  store.createIndex('tempId', 'tempId', { unique: true });
+};
+
+export class Outbox {
+  #db = null;
+
+  // `factory` is the IDBFactory, replaceable in tests
+  constructor(dbName = DB_NAME, factory = globalThis.indexedDB) {
+    this.dbName = dbName;
+    this.factory = factory;
+  }
+
+  async add(packet) {
+    const record = { tempId: packet.tempId, packet, queuedAt: Date.now() };
+    try {
+      await this.#transaction('readwrite', (store) => store.add(record));
+      console.log('Outbox: Queued:', packet.tempId);
+      return true;
+    } catch (error) {
+      if (error?.name === 'ConstraintError') return false;
+      throw error;
+    }
+  }
+
+  async remove(tempId) {
+    return this.#transaction('readwrite', (store, done) => {
+      const request = store.index('tempId').getKey(tempId);
+      request.onsuccess = () => {
+        const found = request.result !== undefined;
+        if (found) store.delete(request.result);
+        done(found);
+      };
+    });
+  }
+
+  async list() {
+    return this.#transaction('readonly', (store, done) => {
+      const request = store.getAll();
+      request.onsuccess = () => done(request.result);
+    });
+  }
+
+  async size() {
+    return this.#transaction('readonly', (store, done) => {
+      const request = store.count();
+      request.onsuccess = () => done(request.result);
+    });
+  }
+
+  async flush(send) {
+    const records = await this.list();
+    let sent = 0;
+    for (const { packet } of records) {
+      if (!send(packet)) break;
+      sent++;
+    }
+    console.log(`Outbox: Replayed ${sent} of ${records.length} messages`);
+    return sent;
+  }
+
+  async #open() {
+    const { dbName, factory } = this;
+    this.#db ??= await openDatabase(dbName, DB_VERSION, upgrade, factory);
+    return this.#db;
+  }
+
+  async #transaction(mode, operation) {
+    return transaction(await this.#open(), STORE, mode, operation);
+  }
+}
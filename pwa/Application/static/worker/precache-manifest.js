@@ -0,0 +1,170 @@
+// Generated by `npm run build` from Application/static; do not edit
+export const CACHE_VERSION = 'precache-2ba239098836';
+
+export const PRECACHE_MANIFEST = [
+  {
+    url: '/',
+    integrity: 'sha256-EFr5ewglorijkewXzMow3Ei1cqWo8yUWcSXuQS6ijbg=',
+    size: 3338,
+  },
+  {
+    url: '/404.html',
+    integrity: 'sha256-+uacPQ2/JEXJ6VkrzFuH6s5QxIfKykTKQTCTDsQNfkM=',
+    size: 221,
+  },
+  {
+    url: '/application.js',
+    integrity: 'sha256-zs/8gbeFoWco/vc/kD6anPyghvJTSOwrb5qsYZ7mInc=',
+    size: 459,
+  },
+  {
+    url: '/chat-application.js',
+    integrity: 'sha256-eXwHjGeFVVPeePNY0xmQiyo1U67P47n/kA3dt2xgLuU=',
+    size: 19109,
+  },
+  {
+    url: '/favicon.ico',
+    integrity: 'sha256-TokUp8ZnedyChV1ifdcFo77qfeX2yDXVREC/lWlapSE=',
+    size: 1150,
+  },
+  {
+    url: '/framework/app-manager.js',
+    integrity: 'sha256-mDeTdOJpPXGSSg+8cCt7MsAT7b3daKGdWEgGwtNnPS0=',
+    size: 19866,
+  },
+  {
+    url: '/framework/commands.js',
+    integrity: 'sha256-vf5KSMCeABGDJkfILcN79GfCnMmNdadZfX/qfN4khQ8=',
+    size: 5169,
+  },
+  {
+    url: '/framework/delivery-tracker.js',
+    integrity: 'sha256-TZ4K9Futtttkp7NwzjiOGTmG1w6wJgUTF5rAZ0zt2Bg=',
+    size: 2097,
+  },
+  {
+    url: '/framework/event-bus.js',
+    integrity: 'sha256-KJMutGXvWFsIO/PH6yWVqgnq1FicbEJG+FyKbHkUJdo=',
+    size: 1102,
+  },
+  {
+    url: '/framework/index.js',
+    integrity: 'sha256-mdJUqHeNmMyThdYYgKwEJKroYZzdyvpod0XcLlQ2ZPU=',
+    size: 1045,
+  },
+  {
+    url: '/framework/install-manager.js',
+    integrity: 'sha256-NYaNgXoyVv01DUHb8UywLpNygKpJ0gUsoDGbIs/fZZk=',
+    size: 900,
+  },
+  {
+    url: '/framework/logger.js',
+    integrity: 'sha256-+nFA7++LtL/V/kV0LE2p7k75NehiBRGFtrBzRLWHjhg=',
+    size: 1754,
+  },
+  {
+    url: '/framework/network-monitor.js',
+    integrity: 'sha256-Rej+vCP/+AXy0owBIFu4qNhcTG9Q51tP9FTk+QKAlbE=',
+    size: 558,
+  },
+  {
+    url: '/framework/notification-manager.js',
+    integrity: 'sha256-jHJ27kSAcu9Cb7kvcR/+ZQtN56QD7oGoDmAqxj2I2Ec=',
+    size: 4281,
+  },
+  {
+    url: '/framework/presence-store.js',
+    integrity: 'sha256-RRoJIDfoiZPW0OB/TRn3tujVYmm6vHtABgh+iTuN9Yk=',
+    size: 2129,
+  },
+  {
+    url: '/framework/service-worker-adapter.js',
+    integrity: 'sha256-j7qr5DRezHl3Ky+WJPfBO/l/+q1BvDHmdvb7xveFZOc=',
+    size: 5808,
+  },
+  {
+    url: '/framework/tab-coordinator.js',
+    integrity: 'sha256-+eiMgAO1JNv6/re0AHOL0em57EdZZUcflzLAM+5rOGM=',
+    size: 3172,
+  },
+  {
+    url: '/icon.svg',
+    integrity: 'sha256-6E8LVoyLEtWolrBY1PfcbYYskW/HqncoSrXbF1zSaI4=',
+    size: 1142,
+  },
+  {
+    url: '/index.html',
+    integrity: 'sha256-EFr5ewglorijkewXzMow3Ei1cqWo8yUWcSXuQS6ijbg=',
+    size: 3338,
+  },
+  {
+    url: '/manifest.json',
+    integrity: 'sha256-z1qR6DSIF8e4JuyBK7wC16t58U37F6RAT6rqsKQSwCY=',
+    size: 768,
+  },
+  {
+    url: '/protocol.js',
+    integrity: 'sha256-LXfgFw9YXbMVPdB3uh4gBAJrrZ3PsfFmG04sve+GmPk=',
+    size: 9988,
+  },
+  {
+    url: '/styles.css',
+    integrity: 'sha256-Ho37ejxI1mB+n1TKgLwrMQR1KUzmHeZGi08KhCIEpPQ=',
+    size: 7546,
+  },
+  {
+    url: '/worker.js',
+    integrity: 'sha256-j0Tpm8eW+KS2cZ8fXc+IXOsazIJORZzHad3uc0pB1Q4=',
+    size: 12393,
+  },
+  {
+    url: '/worker/backoff.js',
+    integrity: 'sha256-goJg0++Tb9xyA3XFTL4u7hgwkDI9AhdOz/vekzmvzFk=',
+    size: 476,
+  },
+  {
+    url: '/worker/cache-manager.js',
+    integrity: 'sha256-NrIrrZuikjFw6nuTq80N0LYYvDqnwg8MnpLPgtR++Y8=',
+    size: 9831,
+  },
+  {
+    url: '/worker/cache-metadata.js',
+    integrity: 'sha256-J5Udgk6Dv+i2fKi4tTpLSv/meaMtpdu9Iasz+xVI6Xg=',
+    size: 2550,
+  },
+  {
+    url: '/worker/idb.js',
+    integrity: 'sha256-iT1aSFoop4G1/O69jLvjUo5uBR+TZLqSYPJyN25f3rw=',
+    size: 1145,
+  },
+  {
+    url: '/worker/message-manager.js',
+    integrity: 'sha256-Q3/oMsr7Z+VNVz1pI2zO92fRt7YDySwCjpOxGN3WpHg=',
+    size: 7020,
+  },
+  {
+    url: '/worker/network-manager.js',
+    integrity: 'sha256-jrByvhCk8C7+uMbfCPBvqtdGqaCoEUy26B2ZfL8/JMA=',
+    size: 4426,
+  },
+  {
+    url: '/worker/outbox.js',
+    integrity: 'sha256-mHI83TKl1M3XHnZI3h6AkFdcLYNIzll/+4B7Ka2psS4=',
+    size: 2142,
+  },
+  {
+    url: '/worker/router.js',
+    integrity: 'sha256-mlOLypQsEWCqO4ChTuJpBh+mthXBVk34aSRoFEIssio=',
+    size: 4183,
+  },
+  {
+    url: '/worker/sync-registry.js',
+    integrity: 'sha256-BwLG+oe1l9WjAOyii5zArlnbvmWPJ8W79wQzfl+fOWg=',
+    size: 3605,
+  },
+  {
+    url: '/worker/tab-registry.js',
+    integrity: 'sha256-1G88tbQn6yg33BWbO2PNO14+5xPW1JOlRzxsUIxaG70=',
+    size: 828,
+  },
+];
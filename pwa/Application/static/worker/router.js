@@ -0,0 +1,143 @@
+import { openDatabase, transaction } from './idb.js';
+
+export const STRATEGIES = [
+  'cacheFirst',
+  'networkFirst',
+  'staleWhileRevalidate',
+  'networkOnly',
+  'cacheOnly',
+];
+
+// Only GET responses can be stored in Cache Storage
+const CACHING = new Set(['cacheFirst', 'networkFirst', 'staleWhileRevalidate']);
+
+const DB_NAME = 'pwa-routes';
+const DB_VERSION = 1;
+const STORE = 'routes';
+
+const upgrade = (db) => {
+  db.createObjectStore(STORE, { keyPath: 'id' });
+};
+
+// `*` matches any characters; patterns with a scheme match the full URL
+const globToRegExp = (glob) => {
+  const source = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+};
+
+const normalize = (route) => {
+  const { pattern = null, destination = null, timeout = null } = route;
+  const { strategy, cache = null } = route;
+  const method = (route.method || 'GET').toUpperCase();
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy: ${strategy}`);
+  }
+  if (method !== 'GET' && CACHING.has(strategy)) {
+    throw new Error(`${strategy} only supports GET requests`);
+  }
+  const isPattern = typeof pattern === 'string' || pattern instanceof RegExp;
+  if (pattern !== null && !isPattern) {
+    throw new Error('Route pattern must be a string or RegExp');
+  }
+  if (timeout !== null && !(Number.isFinite(timeout) && timeout > 0)) {
+    throw new Error(`Invalid route timeout: ${timeout}`);
+  }
+  if (cache !== null && !/^[\w-]{1,64}$/.test(cache)) {
+    throw new Error(`Invalid cache name: ${cache}`);
+  }
+  const id = route.id || `${method} ${destination || '*'} ${pattern || '*'}`;
+  return { id, pattern, destination, method, strategy, timeout, cache };
+};
+
+const matches = (route, request) => {
+  if (route.method !== request.method) return false;
+  if (route.destination && route.destination !== request.destination) {
+    return false;
+  }
+  if (route.pattern === null) return true;
+  const url = new URL(request.url);
+  const { pattern } = route;
+  const regexp = pattern instanceof RegExp ? pattern : globToRegExp(pattern);
+  const full = typeof pattern === 'string' && pattern.includes('://');
+  return regexp.test(full ? url.href : url.pathname);
+};
+
+// Routes registered by pages survive service worker restarts
+export class RouteStore {
+  #db = null;
+
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+  }
+
+  async load() {
+    return this.#transaction('readonly', (store, done) => {
+      const request = store.getAll();
+      request.onsuccess = () => done(request.result);
+    });
+  }
+
+  async save(route) {
+    return this.#transaction('readwrite', (store) => store.put(route));
+  }
+
+  async #open() {
+    this.#db ??= await openDatabase(this.dbName, DB_VERSION, upgrade);
+    return this.#db;
+  }
+
+  async #transaction(mode, operation) {
+    return transaction(await this.#open(), STORE, mode, operation);
+  }
+}
+
+// Registered routes are checked in order before the built-in ones
+export class Router {
+  #routes = [];
+  #defaults;
+  #store;
+  #loading = null;
+
+  constructor(defaults = [], store = new RouteStore()) {
+    this.#defaults = defaults.map(normalize);
+    this.#store = store;
+  }
+
+  async register(route) {
+    await this.#load();
+    const registered = { ...normalize(route), registeredAt: Date.now() };
+    this.#routes = this.#routes.filter(({ id }) => id !== registered.id);
+    this.#routes.push(registered);
+    await this.#store.save(registered);
+    console.log('Router: Registered route:', registered.id);
+    return registered;
+  }
+
+  async match(request) {
+    await this.#load();
+    const routes = [...this.#routes, ...this.#defaults];
+    return routes.find((route) => matches(route, request)) || null;
+  }
+
+  async list() {
+    await this.#load();
+    return [...this.#routes, ...this.#defaults];
+  }
+
+  #load() {
+    if (!this.#loading) {
+      this.#loading = this.#store.load().then(
+        (routes) => {
+          this.#routes = routes.sort((a, b) => a.registeredAt - b.registeredAt);
+        },
+        (error) => {
+          console.error('Router: Failed to load routes:', error);
+        },
+      );
+    }
+    return this.#loading;
+  }
+}
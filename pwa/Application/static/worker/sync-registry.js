@@ -0,0 +1,121 @@
+const FALLBACK_DELAY = 1000;
+
+// Named tasks run by Background Sync, or by a timer where it is missing
+export class SyncRegistry {
+  #tasks = new Map();
+  #pending = new Set();
+  #periodic = new Set();
+  #running = new Map();
+  #lastRun = new Map();
+  #timer = null;
+
+  constructor(options = {}) {
+    const { registration = null, report = () => {} } = options;
+    this.registration = registration;
+    this.report = report;
+    this.fallbackDelay = options.fallbackDelay ?? FALLBACK_DELAY;
+  }
+
+  // `minInterval` > 0 makes a task periodic
+  register(tag, task, { minInterval = 0 } = {}) {
+    this.#tasks.set(tag, { task, minInterval });
+  }
+
+  has(tag) {
+    return this.#tasks.has(tag);
+  }
+
+  async request(tag) {
+    if (!this.#tasks.has(tag)) throw new Error(`Unknown sync task: ${tag}`);
+    const sync = this.registration?.sync;
+    if (sync) {
+      try {
+        await sync.register(tag);
+        return 'sync';
+      } catch (error) {
+        console.warn('SyncRegistry: Background Sync unavailable:', error);
+      }
+    }
+    this.#pending.add(tag);
+    return 'fallback';
+  }
+
+  // Needs the periodic-background-sync permission (installed apps only)
+  async registerPeriodic() {
+    const periodicSync = this.registration?.periodicSync;
+    if (!periodicSync) return [];
+    for (const [tag, { minInterval }] of this.#tasks) {
+      if (minInterval <= 0) continue;
+      try {
+        await periodicSync.register(tag, { minInterval });
+        this.#periodic.add(tag);
+      } catch (error) {
+        console.warn(`SyncRegistry: Periodic sync ${tag} unavailable:`, error);
+      }
+    }
+    return [...this.#periodic];
+  }
+
+  // Called on `online`/`connect`: runs what the browser could not
+  schedule() {
+    if (this.#timer) return;
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.runDue();
+    }, this.fallbackDelay);
+  }
+
+  async runDue(now = Date.now()) {
+    const tags = [...this.#pending];
+    for (const [tag, { minInterval }] of this.#tasks) {
+      if (minInterval <= 0 || this.#periodic.has(tag)) continue;
+      const lastRun = this.#lastRun.get(tag) ?? -Infinity;
+      if (now - lastRun >= minInterval) tags.push(tag);
+    }
+    return Promise.all(tags.map((tag) => this.run(tag, 'fallback')));
+  }
+
+  run(tag, source = 'manual') {
+    if (!this.#running.has(tag)) {
+      const running = this.#execute(tag, source).finally(() => {
+        this.#running.delete(tag);
+      });
+      this.#running.set(tag, running);
+    }
+    return this.#running.get(tag);
+  }
+
+  // For `sync` and `periodicsync` events
+  handleEvent(event, source) {
+    const outcome = this.run(event.tag, source).then((result) => {
+      // Rejecting makes the browser retry the sync later
+      const retry = source === 'sync' && !event.lastChance;
+      if (result.status === 'failed' && retry) throw new Error(result.error);
+    });
+    event.waitUntil(outcome);
+  }
+
+  async #execute(tag, source) {
+    const entry = this.#tasks.get(tag);
+    let outcome;
+    if (!entry) {
+      outcome = { status: 'failed', error: `Unknown sync task: ${tag}` };
+    } else {
+      try {
+        const result = await entry.task();
+        this.#pending.delete(tag);
+        this.#lastRun.set(tag, Date.now());
+        outcome = { status: 'completed', result };
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+    }
+    const packet = { type: 'sync', tag, source, ...outcome };
+    try {
+      await this.report(packet);
+    } catch (error) {
+      console.error('SyncRegistry: Failed to report result:', error);
+    }
+    return packet;
+  }
+}
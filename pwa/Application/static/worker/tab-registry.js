@@ -0,0 +1,35 @@
+// Tabs sharing the worker's socket, counted by client id
+export class TabRegistry {
+  #tabs = new Map();
+
+  add(id, info = {}) {
+    if (this.#tabs.has(id)) return false;
+    this.#tabs.set(id, { id, ...info, joinedAt: Date.now() });
+    return true;
+  }
+
+  remove(id) {
+    return this.#tabs.delete(id);
+  }
+
+  has(id) {
+    return this.#tabs.has(id);
+  }
+
+  // Drops closed or crashed tabs; adopts live ones after a worker restart
+  sync(liveIds) {
+    const live = new Set(liveIds);
+    const removed = [...this.#tabs.keys()].filter((id) => !live.has(id));
+    for (const id of removed) this.#tabs.delete(id);
+    const added = liveIds.filter((id) => this.add(id, { restored: true }));
+    return { added, removed };
+  }
+
+  list() {
+    return [...this.#tabs.values()];
+  }
+
+  get size() {
+    return this.#tabs.size;
+  }
+}
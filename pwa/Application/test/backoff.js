@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay } from '../static/worker/backoff.js';
+
+const options = { baseDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5 };
+
+test('backoffDelay: grows exponentially up to the cap', () => {
+  const noJitter = { ...options, jitter: 0 };
+  const delays = [1, 2, 3, 4, 5, 6].map((n) => backoffDelay(n, noJitter));
+  assert.deepEqual(delays, [100, 200, 400, 800, 1000, 1000]);
+});
+
+test('backoffDelay: jitter stays within range', () => {
+  assert.equal(
+    backoffDelay(3, options, () => 0),
+    400,
+  );
+  assert.equal(
+    backoffDelay(3, options, () => 1),
+    200,
+  );
+});
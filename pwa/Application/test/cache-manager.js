@@ -0,0 +1,159 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  CacheManager,
+  PrecacheError,
+  verifyResponse,
+} from '../static/worker/cache-manager.js';
+
+const integrityOf = (text) =>
+  `sha256-${createHash('sha256').update(text).digest('base64')}`;
+
+class MemoryCache {
+  entries = new Map();
+
+  async match(request) {
+    const response = this.entries.get(request.url || request);
+    return response ? response.clone() : undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(request.url || request, response.clone());
+  }
+
+  async delete(request) {
+    return this.entries.delete(request.url || request);
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map((url) => ({ url }));
+  }
+}
+
+class MemoryCacheStorage {
+  caches = new Map();
+
+  async open(name) {
+    if (!this.caches.has(name)) this.caches.set(name, new MemoryCache());
+    return this.caches.get(name);
+  }
+
+  async delete(name) {
+    return this.caches.delete(name);
+  }
+
+  async keys() {
+    return [...this.caches.keys()];
+  }
+
+  async match(url) {
+    const caches = [...this.caches.values()];
+    const responses = await Promise.all(caches.map((c) => c.match(url)));
+    return responses.find(Boolean);
+  }
+}
+
+const serve = (files) => async (url) => {
+  const body = files[url];
+  if (body === undefined) return new Response('missing', { status: 404 });
+  return new Response(body, { status: 200 });
+};
+
+const globals = { caches: globalThis.caches, fetch: globalThis.fetch };
+
+after(() => {
+  Object.assign(globalThis, globals);
+});
+
+const createManager = (manifest) => {
+  const manager = new CacheManager('precache-test', null);
+  manager.manifest = manifest;
+  return manager;
+};
+
+const setup = (files, manifest) => {
+  globalThis.caches = new MemoryCacheStorage();
+  globalThis.fetch = serve(files);
+  return createManager(manifest);
+};
+
+const textOf = async (manager, url) => (await manager.get({ url })).text();
+
+// Lookups open the runtime caches too
+const cacheNames = () =>
+  [...caches.caches.keys()].filter((name) => !name.startsWith('runtime-'));
+
+test('verifyResponse: checks status and integrity', async () => {
+  const ok = () => new Response('body');
+  await verifyResponse(ok(), integrityOf('body'));
+  await verifyResponse(ok());
+  await assert.rejects(verifyResponse(ok(), integrityOf('x')), /mismatch/);
+  await assert.rejects(verifyResponse(ok(), 'md5-abc'), /Unsupported/);
+  const missing = new Response('', { status: 404 });
+  await assert.rejects(verifyResponse(missing), /HTTP 404/);
+});
+
+test('updateCache: publishes all assets on success', async () => {
+  const manager = setup({ '/a.js': 'a', '/b.js': 'b' }, [
+    { url: '/a.js', integrity: integrityOf('a') },
+    { url: '/b.js' },
+  ]);
+  const results = await manager.updateCache();
+  assert.deepEqual(results, [
+    { url: '/a.js', status: 'fetched' },
+    { url: '/b.js', status: 'fetched' },
+  ]);
+  assert.equal(await textOf(manager, '/a.js'), 'a');
+  const [published, ...others] = cacheNames();
+  assert.match(published, /^precache-test-/);
+  assert.deepEqual(others, ['precache-pointers']);
+});
+
+test('updateCache: switches generations only after all assets', async () => {
+  const files = { '/a.js': 'old' };
+  const manager = setup(files, [{ url: '/a.js' }]);
+  await manager.updateCache();
+  const [previous] = cacheNames();
+
+  files['/a.js'] = 'new';
+  const fetch = serve(files);
+  const seen = [];
+  globalThis.fetch = async (url, options) => {
+    // The published generation serves requests while the next one stages
+    seen.push(await textOf(manager, '/a.js'));
+    return fetch(url, options);
+  };
+  await manager.updateCache();
+  assert.deepEqual(seen, ['old']);
+  assert.equal(await textOf(manager, '/a.js'), 'new');
+  assert.ok(!cacheNames().includes(previous));
+
+  // A restarted worker finds the generation through the pointer
+  const restarted = createManager([{ url: '/a.js' }]);
+  assert.equal(await textOf(restarted, '/a.js'), 'new');
+});
+
+test('updateCache: keeps the published cache on failure', async () => {
+  const files = { '/a.js': 'old', '/b.js': 'b' };
+  const manager = setup(files, [{ url: '/a.js' }, { url: '/b.js' }]);
+  await manager.updateCache();
+  const published = cacheNames();
+
+  Object.assign(files, { '/a.js': 'new', '/b.js': 'tampered' });
+  manager.manifest = [
+    { url: '/a.js' },
+    { url: '/b.js', integrity: integrityOf('b') },
+    { url: '/c.js' },
+  ];
+  const error = await manager.updateCache().catch((e) => e);
+  assert.ok(error instanceof PrecacheError);
+  assert.equal(error.message, 'Precache failed for 2 of 3 assets');
+  assert.deepEqual(error.results, [
+    { url: '/a.js', status: 'fetched' },
+    { url: '/b.js', status: 'failed', error: 'Integrity mismatch' },
+    { url: '/c.js', status: 'failed', error: 'HTTP 404' },
+  ]);
+  assert.equal(await textOf(manager, '/a.js'), 'old');
+  assert.deepEqual(cacheNames(), published);
+});
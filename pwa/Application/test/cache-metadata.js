@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isExpired, selectEvictions } from '../static/worker/cache-metadata.js';
+
+const entry = (url, cachedAt, accessedAt = cachedAt) => ({
+  url,
+  cachedAt,
+  accessedAt,
+});
+
+test('isExpired: compares age with maxAge', () => {
+  assert.equal(isExpired(entry('/a', 0), { maxAge: 100 }, 99), false);
+  assert.equal(isExpired(entry('/a', 0), { maxAge: 100 }, 100), true);
+  assert.equal(isExpired(entry('/a', 0), {}, 1e12), false);
+});
+
+test('selectEvictions: least recently used beyond maxEntries', () => {
+  const entries = [entry('/a', 0, 50), entry('/b', 10, 20), entry('/c', 30)];
+  const urls = (list) => list.map(({ url }) => url);
+  assert.deepEqual(urls(selectEvictions(entries, { maxEntries: 3 })), []);
+  assert.deepEqual(urls(selectEvictions(entries, { maxEntries: 2 })), ['/b']);
+  assert.deepEqual(urls(selectEvictions(entries, { maxEntries: 1 })), [
+    '/b',
+    '/c',
+  ]);
+});
+
+test('selectEvictions: expired entries go first', () => {
+  const entries = [entry('/a', 0, 90), entry('/b', 50), entry('/c', 60)];
+  const limits = { maxEntries: 1, maxAge: 100 };
+  const evicted = selectEvictions(entries, limits, 100);
+  assert.deepEqual(
+    evicted.map(({ url }) => url),
+    ['/a', '/b'],
+  );
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../static/framework/event-bus.js';
+import { DeliveryTracker } from '../static/framework/delivery-tracker.js';
+
+const collect = (eventBus, event) => {
+  const events = [];
+  eventBus.on(event, (data) => events.push(data));
+  return events;
+};
+
+test('DeliveryTracker: pending → sent → delivered → read', () => {
+  const eventBus = new EventBus();
+  const statuses = collect(eventBus, 'message:status');
+  const tracker = new DeliveryTracker(eventBus);
+  tracker.track('tmp', 'hello');
+  tracker.acknowledge({ tempId: 'tmp', id: 'id1' });
+  tracker.receipt({ id: 'id1', status: 'delivered', userId: 'b' });
+  tracker.receipt({ id: 'id1', status: 'read', userId: 'b' });
+  tracker.receipt({ id: 'id1', status: 'delivered', userId: 'c' });
+  const names = statuses.map((data) => data.status);
+  assert.deepEqual(names, ['pending', 'sent', 'delivered', 'read']);
+  const { recipients } = tracker.get('tmp');
+  assert.deepEqual([...recipients.delivered], ['b', 'c']);
+  assert.deepEqual([...recipients.read], ['b']);
+});
+
+test('DeliveryTracker: failure only while pending', () => {
+  const eventBus = new EventBus();
+  const statuses = collect(eventBus, 'message:status');
+  const tracker = new DeliveryTracker(eventBus);
+  tracker.track('a', 'one');
+  tracker.fail({ tempId: 'a', error: 'offline' });
+  tracker.track('b', 'two');
+  tracker.acknowledge({ tempId: 'b', id: 'id2' });
+  tracker.fail({ tempId: 'b', error: 'late' });
+  assert.equal(tracker.get('a').status, 'failed');
+  assert.equal(tracker.get('b').status, 'sent');
+  assert.equal(statuses.at(-1).status, 'sent');
+});
+
+test('DeliveryTracker: evicts oldest messages', () => {
+  const tracker = new DeliveryTracker(new EventBus(), 2);
+  tracker.track('a', '1');
+  tracker.track('b', '2');
+  tracker.track('c', '3');
+  assert.equal(tracker.get('a'), null);
+  assert.ok(tracker.get('c'));
+});
@@ -0,0 +1,81 @@
+import test, { after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageManager } from '../static/worker/message-manager.js';
+import { PROTOCOL_VERSION, encode } from '../static/protocol.js';
+
+const globals = { self: globalThis.self, WebSocket: globalThis.WebSocket };
+
+after(() => {
+  Object.assign(globalThis, globals);
+});
+
+class FakeWebSocket {
+  static sockets = [];
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.sent = [];
+    FakeWebSocket.sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code) {
+    this.onclose({ code, wasClean: true });
+  }
+}
+
+const posted = [];
+
+beforeEach(() => {
+  FakeWebSocket.sockets = [];
+  posted.length = 0;
+  const client = { postMessage: (packet) => posted.push(packet) };
+  globalThis.self = {
+    location: { protocol: 'https:', host: 'chat.test' },
+    clients: { matchAll: async () => [client] },
+  };
+  globalThis.WebSocket = FakeWebSocket;
+});
+
+test('MessageManager: connect offers versions and the token', async () => {
+  const manager = new MessageManager();
+  manager.token = 'secret';
+  await manager.connect();
+  const [socket] = FakeWebSocket.sockets;
+  assert.equal(socket.url, 'wss://chat.test');
+  assert.deepEqual(socket.protocols, [
+    'chat',
+    `chat.v${PROTOCOL_VERSION}`,
+    'auth.secret',
+  ]);
+  assert.equal(manager.state, 'connecting');
+});
+
+test('MessageManager: decodes frames once open', async () => {
+  const manager = new MessageManager();
+  manager.rooms.add('dev');
+  const received = [];
+  manager.on('connected', (frame) => received.push(frame));
+  await manager.connect();
+  const [socket] = FakeWebSocket.sockets;
+  socket.onopen();
+  assert.equal(manager.isOpen(), true);
+  const join = { v: PROTOCOL_VERSION, type: 'join', room: 'dev' };
+  assert.deepEqual(socket.sent, [join]);
+
+  const protocol = { version: PROTOCOL_VERSION, supported: [PROTOCOL_VERSION] };
+  const ids = { clientId: 'c1', userId: 'u1' };
+  const connected = { type: 'connected', ...ids, protocol };
+  socket.onmessage({ data: encode(connected, 'server') });
+  assert.equal(manager.version, PROTOCOL_VERSION);
+  assert.equal(received.length, 1);
+
+  manager.disconnect();
+  assert.equal(manager.state, 'idle');
+  await new Promise(setImmediate);
+  assert.ok(posted.some(({ type }) => type === 'connected'));
+});
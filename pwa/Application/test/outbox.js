@@ -0,0 +1,171 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Outbox } from '../static/worker/outbox.js';
+
+// Service workers have it; Node 20 does not
+const { withResolvers } = Promise;
+Promise.withResolvers ??= () => {
+  const resolvers = {};
+  resolvers.promise = new Promise((resolve, reject) => {
+    Object.assign(resolvers, { resolve, reject });
+  });
+  return resolvers;
+};
+after(() => {
+  Promise.withResolvers = withResolvers;
+});
+
+const later = (fn) => setTimeout(fn, 0);
+
+// Just enough IndexedDB for the outbox: one store with a unique index
+class FakeTransaction {
+  #store;
+  #pending = 0;
+  #failed = false;
+  oncomplete = null;
+  onerror = null;
+  onabort = null;
+  error = null;
+
+  constructor(store) {
+    this.#store = store;
+  }
+
+  objectStore() {
+    const request = (run) => this.#request(run);
+    const store = this.#store;
+    return {
+      add: (record) => request(() => store.add(record)),
+      delete: (key) => request(() => store.records.delete(key)),
+      getAll: () => request(() => [...store.records.values()]),
+      count: () => request(() => store.records.size),
+      index: (name) => ({
+        getKey: (value) => request(() => store.keyOf(name, value)),
+      }),
+    };
+  }
+
+  #request(run) {
+    const request = { result: undefined, onsuccess: null };
+    this.#pending++;
+    later(() => {
+      this.#pending--;
+      if (this.#failed) return;
+      try {
+        request.result = run();
+        request.onsuccess?.();
+      } catch (error) {
+        this.#failed = true;
+        this.error = error;
+        this.onerror?.();
+        this.onabort?.();
+        return;
+      }
+      later(() => {
+        if (this.#pending === 0 && !this.#failed) this.oncomplete?.();
+      });
+    });
+    return request;
+  }
+}
+
+class FakeStore {
+  records = new Map();
+  indexes = new Map();
+  #seq = 0;
+
+  constructor({ keyPath }) {
+    this.keyPath = keyPath;
+  }
+
+  createIndex(name, keyPath) {
+    this.indexes.set(name, keyPath);
+  }
+
+  keyOf(name, value) {
+    const keyPath = this.indexes.get(name);
+    const match = ([, record]) => record[keyPath] === value;
+    return [...this.records].find(match)?.[0];
+  }
+
+  add(record) {
+    for (const [name, keyPath] of this.indexes) {
+      if (this.keyOf(name, record[keyPath]) !== undefined) {
+        const error = new Error('Key already exists in the index');
+        error.name = 'ConstraintError';
+        throw error;
+      }
+    }
+    const key = ++this.#seq;
+    this.records.set(key, { ...record, [this.keyPath]: key });
+    return key;
+  }
+}
+
+const createDatabase = () => {
+  const stores = new Map();
+  return {
+    createObjectStore: (name, options) => {
+      const store = new FakeStore(options);
+      stores.set(name, store);
+      return store;
+    },
+    transaction: (name) => new FakeTransaction(stores.get(name)),
+  };
+};
+
+const fakeIndexedDB = () => {
+  const databases = new Map();
+  return {
+    open(name) {
+      const request = { result: null };
+      later(() => {
+        const created = !databases.has(name);
+        if (created) databases.set(name, createDatabase());
+        request.result = databases.get(name);
+        if (created) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+};
+
+const packet = (tempId) => ({ type: 'message', content: tempId, tempId });
+
+test('Outbox: queues each tempId once, in order', async () => {
+  const outbox = new Outbox('test', fakeIndexedDB());
+  assert.equal(await outbox.add(packet('t1')), true);
+  assert.equal(await outbox.add(packet('t2')), true);
+  assert.equal(await outbox.add(packet('t1')), false);
+  assert.equal(await outbox.size(), 2);
+  const records = await outbox.list();
+  assert.deepEqual(
+    records.map(({ tempId }) => tempId),
+    ['t1', 't2'],
+  );
+});
+
+test('Outbox: an ack removes the message', async () => {
+  const outbox = new Outbox('test', fakeIndexedDB());
+  await outbox.add(packet('t1'));
+  await outbox.add(packet('t2'));
+  assert.equal(await outbox.remove('t1'), true);
+  assert.equal(await outbox.remove('t1'), false);
+  const records = await outbox.list();
+  assert.deepEqual(
+    records.map(({ packet }) => packet),
+    [packet('t2')],
+  );
+});
+
+test('Outbox: replay stops at the first unsent message', async () => {
+  const outbox = new Outbox('test', fakeIndexedDB());
+  for (const tempId of ['t1', 't2', 't3']) await outbox.add(packet(tempId));
+  const sent = [];
+  const send = (item) => sent.length < 2 && sent.push(item.tempId) > 0;
+  assert.equal(await outbox.flush(send), 2);
+  assert.deepEqual(sent, ['t1', 't2']);
+  // Replayed messages stay queued until their ack arrives
+  assert.equal(await outbox.size(), 3);
+});
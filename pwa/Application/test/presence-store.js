@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../static/framework/event-bus.js';
+import { PresenceStore } from '../static/framework/presence-store.js';
+
+test('PresenceStore: follows worker presence frames', () => {
+  const eventBus = new EventBus();
+  const store = new PresenceStore(eventBus);
+  const members = [{ userId: 'ann', name: 'Ann', status: 'online' }];
+  eventBus.emit('worker:connected', { userId: 'ann', members });
+  eventBus.emit('worker:presence', {
+    userId: 'bob',
+    name: 'Bob',
+    status: 'away',
+  });
+  assert.equal(store.userId, 'ann');
+  assert.deepEqual(
+    store.list().map(({ name }) => name),
+    ['Ann', 'Bob'],
+  );
+  eventBus.emit('worker:presence', { userId: 'bob', status: 'offline' });
+  assert.equal(store.get('bob'), null);
+});
+
+test('PresenceStore: typing indicators by room', () => {
+  const eventBus = new EventBus();
+  const store = new PresenceStore(eventBus);
+  const typing = [];
+  eventBus.on('presence:typing', (data) => typing.push(data));
+  store.reset([{ userId: 'bob', name: 'Bob', status: 'online' }]);
+  eventBus.emit('worker:typing', { userId: 'bob', room: 'dev' });
+  eventBus.emit('worker:typing', { userId: 'bob', room: 'dev' });
+  assert.deepEqual(store.typingIn('dev'), ['Bob']);
+  eventBus.emit('worker:stoppedTyping', { userId: 'bob', room: 'dev' });
+  assert.deepEqual(typing, [
+    { room: 'dev', users: ['Bob'] },
+    { room: 'dev', users: [] },
+  ]);
+});
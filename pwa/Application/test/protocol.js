@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as protocol from '../static/protocol.js';
+import {
+  CommandFactory,
+  FrameCommand,
+  MessageCommand,
+} from '../static/framework/commands.js';
+
+test('protocol: encode stamps the version and checks fields', () => {
+  const data = protocol.encode({ type: 'join', room: 'general' });
+  assert.deepEqual(JSON.parse(data), {
+    type: 'join',
+    room: 'general',
+    v: protocol.PROTOCOL_VERSION,
+  });
+  assert.throws(() => protocol.encode({ type: 'join', room: 'a b' }), {
+    name: 'ProtocolError',
+    code: 'invalid_frame',
+    errors: ['room has invalid format'],
+  });
+  assert.throws(() => protocol.encode({ type: 'connected' }), {
+    message: 'unknown message type: connected',
+  });
+  const error = { type: 'error', code: 'not_found' };
+  assert.equal(JSON.parse(protocol.encode(error, 'server')).code, 'not_found');
+});
+
+test('protocol: decode round-trips and reports errors', () => {
+  const ack = { type: 'ack', id: 'm1', tempId: 't1' };
+  const { frame, version } = protocol.decode(protocol.encode(ack, 'server'));
+  assert.deepEqual(frame, ack);
+  assert.equal(version, protocol.PROTOCOL_VERSION);
+
+  assert.equal(protocol.decode('{').error.code, 'invalid_json');
+  assert.equal(protocol.decode('[]').error.code, 'invalid_frame');
+  const missing = protocol.decode('{"type":"message","tempId":"t2"}', 'client');
+  assert.deepEqual(missing.error.errors, ['content is required']);
+  assert.equal(missing.error.requestType, 'message');
+  assert.equal(missing.error.tempId, 't2');
+  const unknown = protocol.decode('{"type":"toString"}', 'client');
+  assert.deepEqual(unknown.error.errors, ['unknown message type: toString']);
+});
+
+test('protocol: frames without `v` are version 1, unknown ones fail', () => {
+  assert.equal(protocol.decode('{"type":"ping"}', 'client').version, 1);
+  const { error } = protocol.decode('{"type":"ping","v":99}', 'client');
+  assert.equal(error.code, 'unsupported_version');
+  assert.equal(error.requestType, 'ping');
+  assert.deepEqual(error.supported, protocol.SUPPORTED_VERSIONS);
+});
+
+test('protocol: negotiation picks the highest common version', () => {
+  const offered = ['chat', 'chat.v1', 'chat.v7', 'auth.abc', 'chat.vx'];
+  assert.deepEqual(protocol.versionsFromProtocols(offered), [1, 7]);
+  assert.equal(protocol.negotiate([1, 7]), 1);
+  assert.equal(protocol.negotiate([]), 1);
+  assert.equal(protocol.negotiate([7]), null);
+  assert.deepEqual(protocol.versionProtocols([1, 2]), ['chat.v1', 'chat.v2']);
+});
+
+test('protocol: schemas merge overrides per sender', () => {
+  const schemas = protocol.schemas('client', {
+    message: { content: { maxLength: 10 } },
+  });
+  assert.equal(schemas.message.content.maxLength, 10);
+  assert.equal(schemas.message.content.required, true);
+  assert.equal(protocol.FRAMES.message.client.content.maxLength, undefined);
+  assert.ok(!Object.hasOwn(schemas, 'connected'));
+  assert.ok(Object.hasOwn(protocol.schemas('server'), 'connected'));
+});
+
+test('protocol: frame commands must be client frames', () => {
+  const command = new MessageCommand('hi', 'general');
+  assert.ok(command instanceof FrameCommand);
+  assert.throws(() => new FrameCommand('connected'), TypeError);
+});
+
+test('protocol: edit, delete and react frames are keyed by message id', () => {
+  const edit = CommandFactory.edit('m1', 'fixed').toJSON();
+  assert.deepEqual(protocol.check({ ...edit, type: 'edit' }, 'client'), []);
+  const react = CommandFactory.react('m1', '👍', true).payload;
+  assert.deepEqual(react, { id: 'm1', emoji: '👍', action: 'remove' });
+  assert.deepEqual(protocol.check({ type: 'delete' }, 'client'), [
+    'id is required',
+  ]);
+  const frame = { type: 'react', id: 'm1', emoji: '👍', action: 'add' };
+  assert.deepEqual(protocol.check(frame, 'server'), ['reactions is required']);
+  const tombstone = { type: 'message', id: 'm1', content: '', deleted: true };
+  assert.deepEqual(protocol.check(tombstone, 'server'), []);
+});
+
+test('protocol: direct messages are addressed with `to`', () => {
+  const command = CommandFactory.directMessage('bob', 'hi');
+  assert.ok(command instanceof MessageCommand);
+  const { to, content, tempId, room } = command.payload;
+  assert.equal(to, 'bob');
+  assert.equal(content, 'hi');
+  assert.equal(room, undefined);
+  assert.equal(typeof tempId, 'string');
+  const frame = { type: 'message', ...command.payload };
+  assert.deepEqual(protocol.check(frame, 'client'), []);
+  const history = CommandFactory.conversation('bob', 'm1').payload;
+  assert.equal(history.peer, 'bob');
+  assert.equal(history.room, undefined);
+});
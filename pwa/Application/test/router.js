@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from '../static/worker/router.js';
+
+const memoryStore = (routes = []) => ({
+  saved: routes,
+  load: async () => [...routes],
+  save: async (route) => {
+    routes.push(route);
+  },
+});
+
+const request = (path, options = {}) => ({
+  url: `https://example.com${path}`,
+  method: 'GET',
+  destination: '',
+  ...options,
+});
+
+const DEFAULTS = [{ id: 'api', pattern: '/api/*', strategy: 'networkOnly' }];
+
+test('Router: matches glob, RegExp, method and destination', async () => {
+  const router = new Router(DEFAULTS, memoryStore());
+  await router.register({ pattern: /\.png$/, strategy: 'cacheOnly' });
+  await router.register({ destination: 'document', strategy: 'networkFirst' });
+  await router.register({
+    pattern: '/api/*',
+    method: 'post',
+    strategy: 'networkOnly',
+  });
+
+  const strategyOf = async (req) => (await router.match(req))?.strategy;
+  assert.equal(await strategyOf(request('/img/a.png')), 'cacheOnly');
+  assert.equal(
+    await strategyOf(request('/', { destination: 'document' })),
+    'networkFirst',
+  );
+  assert.equal(await strategyOf(request('/api/messages')), 'networkOnly');
+  const post = request('/api/auth/token', { method: 'POST' });
+  assert.equal((await router.match(post)).id, 'POST * /api/*');
+  assert.equal(await router.match(request('/styles.css')), null);
+  assert.equal(await router.match(request('/apix')), null);
+});
+
+test('Router: registered routes win and replace by id', async () => {
+  const store = memoryStore();
+  const router = new Router(DEFAULTS, store);
+  const route = { id: 'api', pattern: '/api/*', strategy: 'networkFirst' };
+  await router.register({ ...route, timeout: 1000 });
+  await router.register({ ...route, timeout: 2000 });
+  const match = await router.match(request('/api/messages'));
+  assert.equal(match.strategy, 'networkFirst');
+  assert.equal(match.timeout, 2000);
+  assert.equal((await router.list()).length, 2);
+  assert.equal(store.saved.length, 2);
+});
+
+test('Router: restores persisted routes in order', async () => {
+  const saved = [
+    { id: 'b', pattern: '/a*', method: 'GET', strategy: 'cacheOnly' },
+    { id: 'a', pattern: '/a', method: 'GET', strategy: 'networkOnly' },
+  ];
+  saved[0].registeredAt = 2;
+  saved[1].registeredAt = 1;
+  const router = new Router([], memoryStore(saved));
+  assert.equal((await router.match(request('/a'))).id, 'a');
+  assert.equal((await router.match(request('/ab'))).id, 'b');
+});
+
+test('Router: rejects invalid routes', async () => {
+  const router = new Router([], memoryStore());
+  await assert.rejects(
+    router.register({ strategy: 'fastest' }),
+    /Unknown strategy: fastest/,
+  );
+  await assert.rejects(
+    router.register({ method: 'POST', strategy: 'cacheFirst' }),
+    /cacheFirst only supports GET/,
+  );
+  await assert.rejects(
+    router.register({ strategy: 'networkFirst', timeout: -1 }),
+    /Invalid route timeout/,
+  );
+  await assert.rejects(
+    router.register({ pattern: 42, strategy: 'networkOnly' }),
+    /pattern must be a string or RegExp/,
+  );
+  await assert.rejects(
+    router.register({ strategy: 'cacheFirst', cache: 'a b' }),
+    /Invalid cache name: a b/,
+  );
+});
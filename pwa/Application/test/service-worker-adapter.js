@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../static/framework/event-bus.js';
+import {
+  ServiceWorkerAdapter,
+  RequestError,
+} from '../static/framework/service-worker-adapter.js';
+import { Command } from '../static/framework/commands.js';
+
+// A container whose worker answers through `respond(message)`
+const fakeServiceWorker = (respond) => {
+  const listeners = new Map();
+  const container = {
+    addEventListener: (type, listener) => listeners.set(type, listener),
+  };
+  const dispatch = (data) => listeners.get('message')?.({ data });
+  const worker = {
+    postMessage: (message) => {
+      setTimeout(() => {
+        const reply = respond(message);
+        if (reply) dispatch({ type: 'response', ...reply });
+      }, 0);
+    },
+  };
+  const registration = { active: worker, addEventListener: () => {} };
+  container.register = async () => registration;
+  container.ready = Promise.resolve(registration);
+  container.controller = worker;
+  return { container, dispatch };
+};
+
+const createAdapter = async (respond) => {
+  const { container, dispatch } = fakeServiceWorker(respond);
+  globalThis.navigator = { serviceWorker: container };
+  const eventBus = new EventBus();
+  const adapter = new ServiceWorkerAdapter(eventBus);
+  await adapter.initialize();
+  return { adapter, eventBus, dispatch };
+};
+
+test('ServiceWorkerAdapter: commands carry correlation ids', () => {
+  const a = new Command('ping').toJSON();
+  const b = new Command('ping').toJSON();
+  assert.equal(typeof a.requestId, 'string');
+  assert.notEqual(a.requestId, b.requestId);
+});
+
+test('ServiceWorkerAdapter: request resolves with the reply', async () => {
+  const { adapter } = await createAdapter(({ requestId, value }) => ({
+    requestId,
+    ok: true,
+    result: { doubled: value * 2 },
+  }));
+  const [a, b] = await Promise.all([
+    adapter.request(new Command('double', { value: 2 })),
+    adapter.request(new Command('double', { value: 5 })),
+  ]);
+  assert.deepEqual(a, { doubled: 4 });
+  assert.deepEqual(b, { doubled: 10 });
+});
+
+test('ServiceWorkerAdapter: worker errors keep code and details', async () => {
+  const { adapter } = await createAdapter(({ requestId }) => ({
+    requestId,
+    ok: false,
+    error: {
+      name: 'HandlerError',
+      code: 'precache_failed',
+      message: '1 of 2 assets failed',
+      details: { results: [{ url: '/a.js', status: 'failed' }] },
+    },
+  }));
+  const error = await adapter
+    .request(new Command('updateCache'))
+    .catch((e) => e);
+  assert.ok(error instanceof RequestError);
+  assert.equal(error.code, 'precache_failed');
+  assert.equal(error.message, '1 of 2 assets failed');
+  assert.equal(error.details.results[0].url, '/a.js');
+});
+
+test('ServiceWorkerAdapter: requests time out and abort', async () => {
+  const { adapter } = await createAdapter(() => null);
+  const timedOut = adapter.request(new Command('slow'), { timeout: 5 });
+  await assert.rejects(timedOut, { name: 'RequestError', code: 'timeout' });
+
+  const controller = new AbortController();
+  const aborted = adapter.request(new Command('slow'), {
+    signal: controller.signal,
+  });
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+
+  const early = adapter.request(new Command('slow'), {
+    signal: AbortSignal.abort(),
+  });
+  await assert.rejects(early, { name: 'AbortError' });
+});
+
+test('ServiceWorkerAdapter: responses are not emitted as events', async () => {
+  const { adapter, eventBus, dispatch } = await createAdapter(
+    ({ requestId }) => ({ requestId, ok: true, result: 1 }),
+  );
+  const events = [];
+  eventBus.on('worker:response', (data) => events.push(data));
+  eventBus.on('worker:pong', (data) => events.push(data));
+  await adapter.request(new Command('ping'));
+  dispatch({ type: 'pong' });
+  assert.deepEqual(events, [{}]);
+});
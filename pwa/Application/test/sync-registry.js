@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncRegistry } from '../static/worker/sync-registry.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const recorder = () => {
+  const reports = [];
+  const report = (packet) => {
+    reports.push(packet);
+  };
+  return { reports, report };
+};
+
+test('SyncRegistry: uses Background Sync when available', async () => {
+  const tags = [];
+  const registration = { sync: { register: async (tag) => tags.push(tag) } };
+  const registry = new SyncRegistry({ registration });
+  registry.register('outbox', async () => ({ sent: 1 }));
+
+  assert.equal(await registry.request('outbox'), 'sync');
+  assert.deepEqual(tags, ['outbox']);
+  assert.deepEqual(await registry.runDue(), []);
+  await assert.rejects(registry.request('missing'), /Unknown sync task/);
+});
+
+test('SyncRegistry: falls back to a timer and reports results', async () => {
+  const { reports, report } = recorder();
+  const registry = new SyncRegistry({ report, fallbackDelay: 1 });
+  let runs = 0;
+  registry.register('outbox', async () => ({ sent: ++runs }));
+
+  assert.equal(await registry.request('outbox'), 'fallback');
+  registry.schedule();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.deepEqual(reports, [
+    {
+      type: 'sync',
+      tag: 'outbox',
+      source: 'fallback',
+      status: 'completed',
+      result: { sent: 1 },
+    },
+  ]);
+
+  // Completed tasks leave the pending set
+  assert.deepEqual(await registry.runDue(), []);
+});
+
+test('SyncRegistry: failed tasks stay pending and are reported', async () => {
+  const { reports, report } = recorder();
+  const registry = new SyncRegistry({ report });
+  let fail = true;
+  registry.register('outbox', async () => {
+    if (fail) throw new Error('offline');
+    return 'ok';
+  });
+
+  await registry.request('outbox');
+  const [failed] = await registry.runDue();
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'offline');
+
+  fail = false;
+  const [completed] = await registry.runDue();
+  assert.equal(completed.status, 'completed');
+  assert.equal(reports.length, 2);
+});
+
+test('SyncRegistry: concurrent runs of one tag share a result', async () => {
+  const registry = new SyncRegistry();
+  let runs = 0;
+  registry.register('cache', async () => ++runs);
+
+  const [a, b] = await Promise.all([
+    registry.run('cache'),
+    registry.run('cache'),
+  ]);
+  assert.equal(a, b);
+  assert.equal(runs, 1);
+});
+
+test('SyncRegistry: periodic tasks run on the fallback when due', async () => {
+  const registry = new SyncRegistry();
+  registry.register('cache', async () => 'refreshed', { minInterval: HOUR });
+
+  const now = Date.now();
+  assert.equal((await registry.runDue(now)).length, 1);
+  assert.equal((await registry.runDue(now + HOUR / 2)).length, 0);
+  assert.equal((await registry.runDue(now + 2 * HOUR)).length, 1);
+});
+
+test('SyncRegistry: native periodic tasks skip the fallback', async () => {
+  const registered = [];
+  const periodicSync = {
+    register: async (tag, options) => registered.push([tag, options]),
+  };
+  const registry = new SyncRegistry({ registration: { periodicSync } });
+  registry.register('cache', async () => 'refreshed', { minInterval: HOUR });
+  registry.register('outbox', async () => 'sent');
+
+  assert.deepEqual(await registry.registerPeriodic(), ['cache']);
+  assert.deepEqual(registered, [['cache', { minInterval: HOUR }]]);
+  assert.deepEqual(await registry.runDue(), []);
+});
+
+test('SyncRegistry: sync events reject to be retried', async () => {
+  const registry = new SyncRegistry();
+  registry.register('outbox', async () => {
+    throw new Error('offline');
+  });
+
+  const waited = [];
+  const event = (lastChance) => ({
+    tag: 'outbox',
+    lastChance,
+    waitUntil: (promise) => waited.push(promise),
+  });
+  registry.handleEvent(event(false), 'sync');
+  registry.handleEvent(event(true), 'sync');
+  await assert.rejects(waited[0], /offline/);
+  await assert.doesNotReject(waited[1]);
+});
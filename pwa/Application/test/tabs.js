@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../static/framework/event-bus.js';
+import { TabCoordinator } from '../static/framework/tab-coordinator.js';
+import { TabRegistry } from '../static/worker/tab-registry.js';
+
+const OPTIONS = { interval: 20, timeout: 60, settle: 30 };
+
+// Timers that fire only when the test advances the clock
+class FakeClock {
+  time = 0;
+  #timers = new Map();
+  #nextId = 1;
+
+  now = () => this.time;
+
+  setTimeout = (fn, delay) => this.#add(fn, delay, 0);
+  setInterval = (fn, delay) => this.#add(fn, delay, delay);
+
+  clearTimeout = (id) => this.#timers.delete(id);
+  clearInterval = (id) => this.#timers.delete(id);
+
+  advance(ms) {
+    const end = this.time + ms;
+    for (;;) {
+      const due = [...this.#timers].filter(([, timer]) => timer.at <= end);
+      if (due.length === 0) break;
+      const [id, timer] = due.reduce((a, b) => (b[1].at < a[1].at ? b : a));
+      this.time = timer.at;
+      if (timer.every > 0) timer.at += timer.every;
+      else this.#timers.delete(id);
+      timer.fn();
+    }
+    this.time = end;
+  }
+
+  #add(fn, delay, every) {
+    const id = this.#nextId++;
+    this.#timers.set(id, { fn, at: this.time + delay, every });
+    return id;
+  }
+}
+
+// BroadcastChannel stand-in: delivers to the other open channels at once
+const createChannels = () => {
+  const open = new Set();
+  return (name) => {
+    const channel = {
+      name,
+      onmessage: null,
+      postMessage(data) {
+        for (const other of open) {
+          if (other !== channel && other.name === name) {
+            other.onmessage?.({ data: structuredClone(data) });
+          }
+        }
+      },
+      close: () => open.delete(channel),
+    };
+    open.add(channel);
+    return channel;
+  };
+};
+
+const openTab = (env, startedAt) => {
+  const eventBus = new EventBus();
+  const { clock, openChannel } = env;
+  const options = { ...OPTIONS, now: clock.now, timers: clock, openChannel };
+  const tab = new TabCoordinator(eventBus, options);
+  tab.startedAt = startedAt;
+  const changes = [];
+  eventBus.on('tabs:leader', (data) => changes.push(data));
+  tab.start();
+  return { tab, changes };
+};
+
+const environment = () => ({
+  clock: new FakeClock(),
+  openChannel: createChannels(),
+});
+
+test('TabRegistry: counts joins and leaves once per tab', () => {
+  const tabs = new TabRegistry();
+  assert.equal(tabs.add('a'), true);
+  assert.equal(tabs.add('a'), false);
+  assert.equal(tabs.add('b'), true);
+  assert.equal(tabs.size, 2);
+  assert.equal(tabs.remove('a'), true);
+  assert.equal(tabs.remove('a'), false);
+  assert.deepEqual(
+    tabs.list().map(({ id }) => id),
+    ['b'],
+  );
+});
+
+test('TabRegistry: sync drops closed tabs and adopts unknown ones', () => {
+  const tabs = new TabRegistry();
+  tabs.add('a');
+  tabs.add('b');
+  const { added, removed } = tabs.sync(['b', 'c']);
+  assert.deepEqual(added, ['c']);
+  assert.deepEqual(removed, ['a']);
+  assert.equal(tabs.list().find(({ id }) => id === 'c').restored, true);
+});
+
+test('TabCoordinator: the oldest tab leads, others follow', () => {
+  const env = environment();
+  const first = openTab(env, 1);
+  const second = openTab(env, 2);
+  env.clock.advance(OPTIONS.settle);
+  assert.equal(first.tab.isLeader(), true);
+  assert.equal(second.tab.isLeader(), false);
+  assert.equal(second.tab.leaderId, first.tab.id);
+  assert.equal(first.tab.count, 2);
+  assert.deepEqual(second.changes, [
+    { isLeader: false, leaderId: first.tab.id },
+  ]);
+});
+
+test('TabCoordinator: leadership moves when the leader leaves', () => {
+  const env = environment();
+  const first = openTab(env, 1);
+  const second = openTab(env, 2);
+  env.clock.advance(OPTIONS.settle);
+  first.tab.stop();
+  assert.equal(second.tab.isLeader(), true);
+  assert.equal(second.tab.count, 1);
+});
+
+test('TabCoordinator: silent tabs expire', () => {
+  const env = environment();
+  const { tab } = openTab(env, 2);
+  const ghost = env.openChannel('pwa-tabs');
+  ghost.postMessage({ type: 'alive', id: 'ghost', startedAt: 1 });
+  env.clock.advance(OPTIONS.settle);
+  assert.equal(tab.leaderId, 'ghost');
+
+  // A crashed tab never says `bye`
+  ghost.close();
+  env.clock.advance(OPTIONS.timeout - OPTIONS.settle);
+  assert.equal(tab.leaderId, 'ghost');
+  env.clock.advance(OPTIONS.interval);
+  assert.equal(tab.isLeader(), true);
+  tab.stop();
+});
@@ -13,6 +13,7 @@ module.exports = [
         indexedDB: true,
         prompt: true,
         Notification: true,
+        crypto: true,
       },
     },
   },
@@ -0,0 +1,34 @@
+'use strict';
+
+// A user's tempIds must never match another user's acks
+const keyOf = (userId, tempId) => JSON.stringify([userId, tempId]);
+
+// Acks by user and client tempId, so replayed outbox messages are not
+// stored twice
+class AckCache {
+  #acks = new Map();
+
+  constructor(limit = 1000) {
+    this.limit = limit;
+  }
+
+  get(userId, tempId) {
+    if (!tempId) return null;
+    return this.#acks.get(keyOf(userId, tempId)) || null;
+  }
+
+  remember(userId, ack) {
+    if (!ack.tempId) return;
+    this.#acks.set(keyOf(userId, ack.tempId), ack);
+    while (this.#acks.size > this.limit) {
+      const [oldest] = this.#acks.keys();
+      this.#acks.delete(oldest);
+    }
+  }
+
+  get size() {
+    return this.#acks.size;
+  }
+}
+
+module.exports = { AckCache };
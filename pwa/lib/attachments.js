@@ -0,0 +1,226 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomUUID } = require('node:crypto');
+const { characterClass, sanitizeText } = require('./schema.js');
+
+const MAX_SIZE = 5 * 1024 * 1024;
+const PREVIEW_BOX = 320;
+const MAX_NAME_LENGTH = 255;
+const ID = /^[\w-]{1,64}$/;
+
+// Leading bytes of accepted binary types; `offset` skips container headers
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const SIGNATURES = [
+  { type: 'image/png', bytes: PNG },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+const TYPES = [...SIGNATURES.map(({ type }) => type), 'text/plain'];
+
+const startsWith = (data, { bytes, offset = 0 }) =>
+  data.length >= offset + bytes.length &&
+  bytes.every((byte, i) => data[offset + i] === byte);
+
+// Controls except tab, line feed, form feed and carriage return
+const TEXT_CONTROLS = characterClass([
+  [0x00, 0x08],
+  [0x0b, 0x0b],
+  [0x0e, 0x1f],
+  [0x7f, 0x7f],
+]);
+
+// Text is valid UTF-8 without control characters other than whitespace
+const isText = (data) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return !TEXT_CONTROLS.test(text);
+  } catch {
+    return false;
+  }
+};
+
+// The type the content really has, whatever the client declared
+const sniffType = (data) => {
+  if (data.length === 0) return null;
+  const riff = startsWith(data, { bytes: [0x52, 0x49, 0x46, 0x46] });
+  for (const signature of SIGNATURES) {
+    if (signature.type === 'image/webp' && !riff) continue;
+    if (startsWith(data, signature)) return signature.type;
+  }
+  return isText(data) ? 'text/plain' : null;
+};
+
+const SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+const jpegSize = (data) => {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    if (SOF_MARKERS.has(marker)) {
+      const height = data.readUInt16BE(offset + 5);
+      const width = data.readUInt16BE(offset + 7);
+      return { width, height };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpSize = (data) => {
+  const chunk = data.toString('ascii', 12, 16);
+  if (chunk === 'VP8X' && data.length >= 30) {
+    const width = data.readUIntLE(24, 3) + 1;
+    const height = data.readUIntLE(27, 3) + 1;
+    return { width, height };
+  }
+  if (chunk === 'VP8 ' && data.length >= 30) {
+    const width = data.readUInt16LE(26) & 0x3fff;
+    const height = data.readUInt16LE(28) & 0x3fff;
+    return { width, height };
+  }
+  if (chunk === 'VP8L' && data.length >= 25) {
+    const bits = data.readUInt32LE(21);
+    const width = (bits & 0x3fff) + 1;
+    const height = ((bits >> 14) & 0x3fff) + 1;
+    return { width, height };
+  }
+  return null;
+};
+
+// Pixel dimensions read from the image header, or null
+const imageSize = (data, type) => {
+  try {
+    if (type === 'image/png' && data.length >= 24) {
+      return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (type === 'image/gif' && data.length >= 10) {
+      return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (type === 'image/jpeg') return jpegSize(data);
+    if (type === 'image/webp') return webpSize(data);
+  } catch {
+    // Truncated header
+  }
+  return null;
+};
+
+// Fits the image into a `max` × `max` box, never upscaling
+const fitSize = ({ width, height }, max = PREVIEW_BOX) => {
+  const scale = Math.min(1, max / Math.max(width, height, 1));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+const safeName = (name) => {
+  const base = sanitizeText(String(name || ''))
+    .split(/[\\/]/)
+    .pop();
+  return base.slice(0, MAX_NAME_LENGTH) || 'attachment';
+};
+
+// `statusCode` is the HTTP status the upload route answers with
+class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Files in `dir/<id>` with metadata in `dir/<id>.json`
+class AttachmentStore {
+  #index = new Map();
+
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.maxSize = options.maxSize || MAX_SIZE;
+    this.types = options.types || TYPES;
+    this.previewBox = options.previewBox || PREVIEW_BOX;
+    this.urlPrefix = options.urlPrefix || '/api/uploads/';
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const text = await fs.promises.readFile(path.join(this.dir, file));
+        const metadata = JSON.parse(text);
+        this.#index.set(metadata.id, metadata);
+      } catch (error) {
+        console.error(`Attachments: skipping ${file}:`, error.message);
+      }
+    }
+    return this.#index.size;
+  }
+
+  async save(data, { name, type: declared, userId = null } = {}) {
+    if (data.length === 0) throw new UploadError('Empty upload');
+    if (data.length > this.maxSize) {
+      throw new UploadError(`Upload exceeds ${this.maxSize} bytes`, 413);
+    }
+    const type = sniffType(data);
+    if (!type || !this.types.includes(type)) {
+      throw new UploadError('Unsupported file type', 415);
+    }
+    const claimed = (declared || '').split(';')[0].trim().toLowerCase();
+    const generic = !claimed || claimed === 'application/octet-stream';
+    if (!generic && claimed !== type) {
+      throw new UploadError(`Content is ${type}, not ${claimed}`, 415);
+    }
+    const id = randomUUID();
+    const metadata = {
+      id,
+      name: safeName(name),
+      type,
+      size: data.length,
+      url: this.urlPrefix + id,
+      userId,
+      createdAt: new Date().toISOString(),
+    };
+    // No scaled copy is stored: pages draw the original at `previewSize`
+    const dimensions = imageSize(data, type);
+    if (dimensions) {
+      const previewSize = fitSize(dimensions, this.previewBox);
+      Object.assign(metadata, dimensions, { previewSize });
+    }
+    await fs.promises.writeFile(this.filePath(id), data);
+    const json = JSON.stringify(metadata);
+    await fs.promises.writeFile(`${this.filePath(id)}.json`, json);
+    this.#index.set(id, metadata);
+    return metadata;
+  }
+
+  get(id) {
+    if (typeof id !== 'string' || !ID.test(id)) return null;
+    return this.#index.get(id) || null;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, id);
+  }
+
+  get size() {
+    return this.#index.size;
+  }
+}
+
+module.exports = {
+  MAX_SIZE,
+  TYPES,
+  AttachmentStore,
+  UploadError,
+  fitSize,
+  imageSize,
+  sniffType,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+const AUTH_PROTOCOL = 'chat';
+const TOKEN_PROTOCOL_PREFIX = 'auth.';
+const USER_ID = /^[\w-]{1,64}$/;
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const isUserId = (userId) => typeof userId === 'string' && USER_ID.test(userId);
+
+const toBase64 = (data) => Buffer.from(data).toString('base64url');
+
+const fromBase64 = (data) => Buffer.from(data, 'base64url').toString();
+
+// Verifiers implement `verify(token) → identity | null`, identity has `userId`
+class HmacAuth {
+  #secret;
+
+  constructor(options = {}) {
+    this.#secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this.now = options.now || Date.now;
+  }
+
+  issue(userId, claims = {}) {
+    if (!isUserId(userId)) throw new Error(`Invalid user id: ${userId}`);
+    const issuedAt = this.now();
+    const expiresAt = issuedAt + this.ttl;
+    const payload = toBase64(JSON.stringify({ ...claims, userId, expiresAt }));
+    return `${payload}.${this.#sign(payload)}`;
+  }
+
+  // A fresh token for the same identity, or null when `token` is invalid
+  async renew(token) {
+    const identity = await this.verify(token);
+    if (!identity) return null;
+    // issue() overwrites the old expiry
+    return this.issue(identity.userId, identity);
+  }
+
+  async verify(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    const expected = Buffer.from(this.#sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length) return null;
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+      const identity = JSON.parse(fromBase64(payload));
+      if (!isUserId(identity.userId)) return null;
+      if (identity.expiresAt <= this.now()) return null;
+      return identity;
+    } catch {
+      return null;
+    }
+  }
+
+  #sign(payload) {
+    const hmac = crypto.createHmac('sha256', this.#secret);
+    return hmac.update(payload).digest('base64url');
+  }
+}
+
+const parseProtocols = (header = '') =>
+  header
+    .split(',')
+    .map((protocol) => protocol.trim())
+    .filter(Boolean);
+
+const tokenFromProtocols = (protocols) => {
+  for (const protocol of protocols) {
+    if (protocol.startsWith(TOKEN_PROTOCOL_PREFIX)) {
+      return protocol.substring(TOKEN_PROTOCOL_PREFIX.length);
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  AUTH_PROTOCOL,
+  HmacAuth,
+  isUserId,
+  parseProtocols,
+  tokenFromProtocols,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+const { randomUUID } = require('node:crypto');
+const { DEFAULT_ROOM } = require('./rooms.js');
+const { ReactionError, applyReaction } = require('./reactions.js');
+
+// Handlers for frames about messages, keyed by frame type. `context` holds
+// the stores (`history` for rooms, `conversations` for direct messages,
+// `rooms`, `receipts`, `acks`, `uploads`) and the ways to reach sockets:
+// `send(ws, data)`, `broadcast(data, exclude, room)` and
+// `sendToUsers(userIds, data, exclude)`, where `exclude` is a client id.
+// `resolveUser(id)` maps a user or client id to a known user id,
+// `readHistory` and `readConversation` return history pages, and
+// `onMessage(entry, connection)` runs after a new message is delivered.
+const createChatHandlers = (context) => {
+  const { history, conversations, rooms, receipts, acks, uploads } = context;
+  const { send, broadcast, sendToUsers, resolveUser } = context;
+
+  const sendError = (ws, code, error, details = {}) => {
+    send(ws, { type: 'error', code, error, ...details });
+  };
+
+  // Every tab of both users, except the one that sent the frame
+  const sendDirect = (entry, data, excludeClientId = '') => {
+    sendToUsers([entry.userId, entry.to], data, excludeClientId);
+  };
+
+  // The live message a frame refers to, if the sender can see it. Direct
+  // messages of other users are reported as unknown.
+  const findMessage = ({ ws, clientId, userId }, id) => {
+    const entry = history.find(id) || conversations.find(id);
+    const hidden = entry?.to && entry.userId !== userId && entry.to !== userId;
+    if (!entry || entry.deleted || hidden) {
+      sendError(ws, 'not_found', `Unknown message: ${id}`, { id });
+      return null;
+    }
+    if (!entry.to && !rooms.has(entry.room, clientId)) {
+      const error = `Not a member of room: ${entry.room}`;
+      sendError(ws, 'not_member', error, { id });
+      return null;
+    }
+    return entry;
+  };
+
+  const isAuthor = ({ ws, userId }, entry, action) => {
+    if (entry.userId === userId) return true;
+    const error = `Only the author can ${action} this message`;
+    sendError(ws, 'forbidden', error, { id: entry.id });
+    return false;
+  };
+
+  const storeOf = (entry) => (entry.to ? conversations : history);
+
+  const updateMessage = (entry, changes) => {
+    const store = storeOf(entry);
+    store.update(entry.id, changes).catch((error) => {
+      console.error('Failed to update message:', error);
+    });
+  };
+
+  // Changes reach everyone who can see the message, the sender included
+  const publish = (entry, data) => {
+    const { room, to } = entry;
+    if (to) sendDirect(entry, { ...data, to });
+    else broadcast({ ...data, room }, '', room);
+  };
+
+  return {
+    message: (connection, message) => {
+      const { ws, clientId, userId } = connection;
+      const { type, content, tempId, room = DEFAULT_ROOM } = message;
+      if (!message.to && !rooms.has(room, clientId)) {
+        const error = `Not a member of room: ${room}`;
+        sendError(ws, 'not_member', error, { tempId });
+        return;
+      }
+      const replayed = acks.get(userId, tempId);
+      if (replayed) {
+        send(ws, replayed);
+        return;
+      }
+      const to = message.to && resolveUser(message.to);
+      if (message.to && !to) {
+        const error = `Unknown recipient: ${message.to}`;
+        sendError(ws, 'not_found', error, { tempId, to: message.to });
+        return;
+      }
+      // Only the uploader may post an attachment
+      const attachment = message.attachment && uploads.get(message.attachment);
+      if (message.attachment && attachment?.userId !== userId) {
+        const error = `Unknown attachment: ${message.attachment}`;
+        sendError(ws, 'not_found', error, { tempId });
+        return;
+      }
+      const id = randomUUID();
+      const timestamp = new Date().toISOString();
+      const target = to ? { to } : { room };
+      const entry = { id, type, content, ...target, clientId, userId };
+      entry.timestamp = timestamp;
+      if (attachment) entry.attachment = attachment;
+      const store = storeOf(entry);
+      store.append(entry).catch((error) => {
+        console.error('Failed to store message:', error);
+      });
+      const ack = { type: 'ack', tempId, id, ...target, timestamp };
+      acks.remember(userId, ack);
+      send(ws, ack);
+      if (to) sendDirect(entry, entry, clientId);
+      else broadcast(entry, clientId, room);
+      context.onMessage(entry, connection);
+    },
+
+    edit: (connection, { id, content }) => {
+      const entry = findMessage(connection, id);
+      if (!entry || !isAuthor(connection, entry, 'edit')) return;
+      const { userId } = entry;
+      const editedAt = new Date().toISOString();
+      updateMessage(entry, { content, editedAt });
+      publish(entry, { type: 'edit', id, content, userId, editedAt });
+    },
+
+    // Soft delete: the entry stays in history as a tombstone
+    delete: (connection, { id }) => {
+      const entry = findMessage(connection, id);
+      if (!entry || !isAuthor(connection, entry, 'delete')) return;
+      const { userId } = entry;
+      const deletedAt = new Date().toISOString();
+      const tombstone = { content: '', attachment: null, reactions: null };
+      updateMessage(entry, { ...tombstone, deleted: true, deletedAt });
+      publish(entry, { type: 'delete', id, userId, deletedAt });
+    },
+
+    react: (connection, { id, emoji, action = 'add' }) => {
+      const entry = findMessage(connection, id);
+      if (!entry) return;
+      const { ws, userId } = connection;
+      let reactions;
+      try {
+        reactions = applyReaction(entry.reactions, { emoji, userId, action });
+      } catch (error) {
+        if (!(error instanceof ReactionError)) throw error;
+        sendError(ws, 'invalid_request', error.message, { id });
+        return;
+      }
+      if (!reactions) return;
+      updateMessage(entry, { reactions });
+      publish(entry, { type: 'react', id, emoji, action, userId, reactions });
+    },
+
+    receipt: (connection, { id, status }) => {
+      const entry = findMessage(connection, id);
+      const { userId } = connection;
+      if (!entry || !entry.userId || entry.userId === userId) return;
+      if (!receipts.record(id, userId, status)) return;
+      const timestamp = new Date().toISOString();
+      const receipt = { type: 'receipt', id, status, userId, timestamp };
+      sendToUsers([entry.userId], receipt);
+    },
+
+    history: ({ ws, clientId, userId }, frame) => {
+      const { room = DEFAULT_ROOM, before, limit } = frame;
+      if (!frame.peer && !rooms.has(room, clientId)) {
+        sendError(ws, 'not_member', `Not a member of room: ${room}`);
+        return;
+      }
+      // Past peers may be offline and unknown by now
+      const peer = frame.peer && (resolveUser(frame.peer) || frame.peer);
+      try {
+        const page = peer
+          ? context.readConversation(userId, peer, { before, limit })
+          : context.readHistory({ room, before, limit });
+        send(ws, { type: 'history', ...page });
+      } catch (error) {
+        sendError(ws, 'invalid_request', error.message);
+      }
+    },
+  };
+};
+
+module.exports = { createChatHandlers };
@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+const { pipeline } = require('node:stream/promises');
+
+// In order of preference; `extension` names precompressed siblings
+const ENCODINGS = {
+  br: {
+    extension: '.br',
+    createEncoder: () =>
+      zlib.createBrotliCompress({
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+      }),
+  },
+  gzip: { extension: '.gz', createEncoder: () => zlib.createGzip() },
+};
+
+const parseAcceptEncoding = (header = '') => {
+  const weights = new Map();
+  for (const part of header.split(',')) {
+    const [coding, ...params] = part.toLowerCase().split(';');
+    const name = coding.trim();
+    if (!name) continue;
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    const weight = q ? Number(q.slice(2)) : 1;
+    weights.set(name, Number.isNaN(weight) ? 0 : weight);
+  }
+  return weights;
+};
+
+// Best encoding the client accepts among `available`, or null for identity
+const negotiate = (header, available = Object.keys(ENCODINGS)) => {
+  const weights = parseAcceptEncoding(header);
+  let best = null;
+  let bestWeight = 0;
+  for (const encoding of available) {
+    const weight = weights.get(encoding) ?? weights.get('*') ?? 0;
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  }
+  return best;
+};
+
+const compress = async (filePath, encoding) => {
+  const chunks = [];
+  await pipeline(
+    fs.createReadStream(filePath),
+    ENCODINGS[encoding].createEncoder(),
+    async (source) => {
+      for await (const chunk of source) chunks.push(chunk);
+    },
+  );
+  return Buffer.concat(chunks);
+};
+
+// Compressed bodies keyed by path, ETag and encoding; least recently used out
+class CompressionCache {
+  #entries = new Map();
+  #pending = new Map();
+  #bytes = 0;
+
+  constructor({ maxBytes = 16 * 1024 * 1024 } = {}) {
+    this.maxBytes = maxBytes;
+  }
+
+  get bytes() {
+    return this.#bytes;
+  }
+
+  async get(filePath, etag, encoding) {
+    const key = `${encoding}:${etag}:${filePath}`;
+    const cached = this.#entries.get(key);
+    if (cached) {
+      this.#entries.delete(key);
+      this.#entries.set(key, cached);
+      return cached;
+    }
+    let pending = this.#pending.get(key);
+    if (!pending) {
+      pending = compress(filePath, encoding).finally(() => {
+        this.#pending.delete(key);
+      });
+      this.#pending.set(key, pending);
+      pending.then(
+        (body) => this.#store(key, body),
+        () => {},
+      );
+    }
+    return pending;
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#bytes = 0;
+  }
+
+  #store(key, body) {
+    if (body.length > this.maxBytes) return;
+    this.#entries.set(key, body);
+    this.#bytes += body.length;
+    for (const [oldest, entry] of this.#entries) {
+      if (this.#bytes <= this.maxBytes) break;
+      this.#entries.delete(oldest);
+      this.#bytes -= entry.length;
+    }
+  }
+}
+
+module.exports = {
+  ENCODINGS,
+  CompressionCache,
+  negotiate,
+  parseAcceptEncoding,
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+const { createHistoryStore } = require('./history-store.js');
+
+const EMPTY_PAGE = { messages: [], hasMore: false, cursor: null };
+
+// The same key for both directions of a conversation
+const pairOf = (a, b) => JSON.stringify([a, b].sort());
+
+const fileNameOf = (key) => {
+  const hash = createHash('sha256').update(key).digest('hex');
+  return `${hash.slice(0, 32)}.jsonl`;
+};
+
+// Direct messages with one history store per pair of users, so rooms and
+// other conversations never evict them. `maxCount` and `maxAge` apply to
+// each pair; the file type keeps a pair in `dir/<hash of the pair>.jsonl`.
+class ConversationStore {
+  #stores = new Map();
+
+  constructor(options = {}) {
+    const { type = 'file', dir = null, ...retention } = options;
+    this.type = type;
+    this.dir = dir;
+    this.retention = retention;
+  }
+
+  async load() {
+    if (this.type !== 'file') return 0;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    let count = 0;
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.jsonl')) continue;
+      const store = this.#create(path.join(this.dir, file));
+      count += await store.load();
+      // Fully expired pairs start over on their next message
+      const [message] = store.recent(1);
+      if (message) this.#stores.set(pairOf(message.userId, message.to), store);
+    }
+    return count;
+  }
+
+  async append(message) {
+    const key = pairOf(message.userId, message.to);
+    let store = this.#stores.get(key);
+    if (!store) {
+      store = this.#create(this.dir && path.join(this.dir, fileNameOf(key)));
+      this.#stores.set(key, store);
+    }
+    return store.append(message);
+  }
+
+  page(a, b, options) {
+    const store = this.#stores.get(pairOf(a, b));
+    return store ? store.page(options) : EMPTY_PAGE;
+  }
+
+  find(id) {
+    return this.#storeOf(id)?.find(id) || null;
+  }
+
+  async update(id, changes) {
+    const store = this.#storeOf(id);
+    return store ? store.update(id, changes) : null;
+  }
+
+  // Matching messages of every conversation
+  filter(predicate) {
+    const stores = [...this.#stores.values()];
+    return stores.flatMap((store) => store.recent(Infinity, predicate));
+  }
+
+  async close() {
+    const stores = [...this.#stores.values()];
+    await Promise.all(stores.map((store) => store.close?.()));
+  }
+
+  get size() {
+    let size = 0;
+    for (const store of this.#stores.values()) size += store.size;
+    return size;
+  }
+
+  #create(filePath) {
+    return createHistoryStore({ type: this.type, filePath, ...this.retention });
+  }
+
+  #storeOf(id) {
+    for (const store of this.#stores.values()) {
+      if (store.find(id)) return store;
+    }
+    return null;
+  }
+}
+
+module.exports = { ConversationStore };
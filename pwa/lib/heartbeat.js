@@ -0,0 +1,76 @@
+'use strict';
+
+class Heartbeat {
+  #sockets = new Map();
+  #timer = null;
+
+  constructor(options = {}) {
+    this.interval = options.interval ?? 30000;
+    this.timeout = options.timeout ?? this.interval * 2.5;
+    this.onReap = options.onReap || (() => {});
+    this.now = options.now || Date.now;
+    this.metrics = { sweeps: 0, pings: 0, reaped: 0, lastReapedAt: null };
+  }
+
+  get size() {
+    return this.#sockets.size;
+  }
+
+  track(ws, id) {
+    const entry = { id, lastSeen: this.now() };
+    const alive = () => {
+      entry.lastSeen = this.now();
+    };
+    entry.alive = alive;
+    ws.on('pong', alive);
+    ws.on('message', alive);
+    this.#sockets.set(ws, entry);
+  }
+
+  untrack(ws) {
+    const entry = this.#sockets.get(ws);
+    if (!entry) return false;
+    ws.off('pong', entry.alive);
+    ws.off('message', entry.alive);
+    return this.#sockets.delete(ws);
+  }
+
+  sweep() {
+    const now = this.now();
+    this.metrics.sweeps++;
+    for (const [ws, entry] of this.#sockets) {
+      if (now - entry.lastSeen > this.timeout) {
+        this.untrack(ws);
+        this.metrics.reaped++;
+        this.metrics.lastReapedAt = new Date(now).toISOString();
+        this.onReap(entry.id, ws);
+        ws.terminate();
+        continue;
+      }
+      try {
+        ws.ping();
+        this.metrics.pings++;
+      } catch (error) {
+        console.error(`Heartbeat: ping failed for ${entry.id}:`, error);
+      }
+    }
+  }
+
+  start() {
+    if (this.#timer) return;
+    this.#timer = setInterval(() => this.sweep(), this.interval);
+    this.#timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  stats() {
+    const { interval, timeout, size: tracked } = this;
+    return { interval, timeout, tracked, ...this.metrics };
+  }
+}
+
+module.exports = { Heartbeat };
@@ -0,0 +1,192 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_MAX_COUNT = 100;
+
+const toTime = (message) => Date.parse(message.timestamp) || 0;
+
+const cursorTime = (cursor) => {
+  if (typeof cursor === 'number') return cursor;
+  if (/^\d+$/.test(cursor)) return Number(cursor);
+  return Date.parse(cursor);
+};
+
+class MemoryHistoryStore {
+  constructor(options = {}) {
+    this.maxCount = options.maxCount ?? DEFAULT_MAX_COUNT;
+    this.maxAge = options.maxAge ?? 0;
+    this.messages = [];
+  }
+
+  async load() {
+    this.prune();
+    return this.messages.length;
+  }
+
+  async append(message) {
+    this.messages.push(message);
+    this.prune();
+    return message;
+  }
+
+  recent(limit = 10, filter = null) {
+    this.prune();
+    if (limit <= 0) return [];
+    const messages = filter ? this.messages.filter(filter) : this.messages;
+    return messages.slice(-limit);
+  }
+
+  page({ before = null, limit = 10, filter = null } = {}) {
+    this.prune();
+    let messages = filter ? this.messages.filter(filter) : this.messages;
+    if (before !== null && before !== undefined && before !== '') {
+      const index = messages.findIndex((msg) => msg.id === before);
+      if (index !== -1) {
+        messages = messages.slice(0, index);
+      } else {
+        const time = cursorTime(before);
+        if (Number.isNaN(time)) throw new Error(`Invalid cursor: ${before}`);
+        messages = messages.filter((msg) => toTime(msg) < time);
+      }
+    }
+    const page = limit > 0 ? messages.slice(-limit) : [];
+    const hasMore = messages.length > page.length;
+    const oldest = page[0];
+    const cursor = oldest ? oldest.id || oldest.timestamp : null;
+    return { messages: page, hasMore, cursor };
+  }
+
+  find(id) {
+    return this.messages.find((msg) => msg.id === id) || null;
+  }
+
+  async update(id, changes) {
+    const message = this.find(id);
+    if (!message) return null;
+    return Object.assign(message, changes);
+  }
+
+  get size() {
+    return this.messages.length;
+  }
+
+  prune(now = Date.now()) {
+    const before = this.messages.length;
+    if (this.maxAge > 0) {
+      const oldest = now - this.maxAge;
+      const index = this.messages.findIndex((msg) => toTime(msg) >= oldest);
+      const expired = index === -1 ? this.messages.length : index;
+      if (expired > 0) this.messages.splice(0, expired);
+    }
+    if (this.maxCount > 0 && this.messages.length > this.maxCount) {
+      this.messages.splice(0, this.messages.length - this.maxCount);
+    }
+    return before - this.messages.length;
+  }
+}
+
+class FileHistoryStore extends MemoryHistoryStore {
+  #lines = 0;
+  #queue = Promise.resolve();
+
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.compactThreshold = options.compactThreshold ?? this.maxCount;
+  }
+
+  async load() {
+    const text = await fs.promises
+      .readFile(this.filePath, 'utf8')
+      .catch((error) => {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+      });
+    // Updates are appended as full records, so the last line of an id wins
+    const byId = new Map();
+    const messages = [];
+    let lines = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        console.warn(`History: skipping corrupted line in ${this.filePath}`);
+        continue;
+      }
+      lines++;
+      const index = message.id ? byId.get(message.id) : undefined;
+      if (index === undefined) {
+        if (message.id) byId.set(message.id, messages.length);
+        messages.push(message);
+      } else {
+        messages[index] = message;
+      }
+    }
+    this.messages = messages.sort((a, b) => toTime(a) - toTime(b));
+    this.#lines = lines;
+    await super.load();
+    await this.compact();
+    return this.messages.length;
+  }
+
+  async append(message) {
+    await super.append(message);
+    await this.#write(message);
+    return message;
+  }
+
+  async update(id, changes) {
+    const message = await super.update(id, changes);
+    if (message) await this.#write(message);
+    return message;
+  }
+
+  async compact() {
+    if (this.#lines === this.messages.length) return;
+    await this.#enqueue(async () => {
+      const lines = this.messages.map((msg) => JSON.stringify(msg) + '\n');
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, lines.join(''));
+      await fs.promises.rename(tmpPath, this.filePath);
+      this.#lines = lines.length;
+    });
+  }
+
+  async close() {
+    await this.compact();
+  }
+
+  async #write(message) {
+    const line = JSON.stringify(message) + '\n';
+    await this.#enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, line);
+      this.#lines++;
+    });
+    if (this.#lines - this.messages.length > this.compactThreshold) {
+      await this.compact();
+    }
+  }
+
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch((error) => {
+      console.error(`History: failed to write ${this.filePath}:`, error);
+    });
+    return result;
+  }
+}
+
+const createHistoryStore = (options = {}) => {
+  const { type = 'file', filePath, ...retention } = options;
+  if (type === 'memory') return new MemoryHistoryStore(retention);
+  if (type === 'file') return new FileHistoryStore(filePath, retention);
+  throw new Error(`Unknown history store type: ${type}`);
+};
+
+module.exports = { MemoryHistoryStore, FileHistoryStore, createHistoryStore };
@@ -0,0 +1,70 @@
+'use strict';
+
+const fs = require('node:fs');
+const { createHash } = require('node:crypto');
+const { pipeline } = require('node:stream/promises');
+
+// Strong ETags from file contents, re-hashed only when size or mtime change
+class ETagCache {
+  #entries = new Map();
+
+  async get(filePath, stat) {
+    const { size, mtimeMs } = stat;
+    const entry = this.#entries.get(filePath);
+    if (entry && entry.size === size && entry.mtimeMs === mtimeMs) {
+      return entry.etag;
+    }
+    const hash = createHash('sha1');
+    await pipeline(fs.createReadStream(filePath), hash);
+    const etag = `"${hash.digest('base64url')}"`;
+    this.#entries.set(filePath, { size, mtimeMs, etag });
+    return etag;
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+}
+
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+
+// If-None-Match wins over If-Modified-Since (RFC 9110, 13.2.2)
+const isNotModified = (headers, { etag, lastModified }) => {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch.split(',').some((tag) => opaqueTag(tag) === etag);
+  }
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  if (Number.isNaN(ifModifiedSince)) return false;
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+};
+
+// Single `bytes=` range; `null` means serve the whole file
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+  const [, from, to] = match;
+  if (from === '' && to === '') return null;
+  let start = 0;
+  let end = size - 1;
+  if (from === '') {
+    start = Math.max(size - Number(to), 0);
+  } else {
+    start = Number(from);
+    if (to !== '') end = Math.min(Number(to), size - 1);
+  }
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+};
+
+// A stale If-Range validator downgrades the request to a full response
+const rangeApplies = (headers, { etag, lastModified }) => {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  return ifRange === lastModified.toUTCString();
+};
+
+module.exports = { ETagCache, isNotModified, parseRange, rangeApplies };
@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+
+const MANIFEST_FILE = path.join('worker', 'precache-manifest.js');
+
+// Precompressed siblings and dotfiles are not separate assets
+const isAsset = (name) => !name.startsWith('.') && !/\.(br|gz)$/.test(name);
+
+// URLs served by another file
+const ALIASES = { '/': '/index.html' };
+
+const walk = async (dir, base = dir) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (!isAsset(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await walk(fullPath, base);
+      files.push(...nested);
+    } else if (entry.isFile()) {
+      files.push(path.relative(base, fullPath));
+    }
+  }
+  return files;
+};
+
+const integrityOf = (data) =>
+  `sha256-${createHash('sha256').update(data).digest('base64')}`;
+
+const collectAssets = async (root) => {
+  const files = await walk(root);
+  const assets = [];
+  for (const file of files) {
+    if (file === MANIFEST_FILE) continue;
+    const data = await fs.promises.readFile(path.join(root, file));
+    const url = '/' + file.split(path.sep).join('/');
+    assets.push({ url, integrity: integrityOf(data), size: data.length });
+  }
+  for (const [alias, url] of Object.entries(ALIASES)) {
+    const target = assets.find((asset) => asset.url === url);
+    if (target) assets.push({ ...target, url: alias });
+  }
+  return assets.sort((a, b) => (a.url < b.url ? -1 : 1));
+};
+
+// Any added, removed or changed asset yields a new cache name
+const cacheVersion = (assets) => {
+  const hash = createHash('sha256');
+  for (const { url, integrity } of assets) hash.update(`${url} ${integrity}\n`);
+  return `precache-${hash.digest('hex').slice(0, 12)}`;
+};
+
+const renderModule = (assets) => {
+  const entries = assets.map(({ url, integrity, size }) =>
+    [
+      '  {',
+      `    url: '${url}',`,
+      `    integrity: '${integrity}',`,
+      `    size: ${size},`,
+      '  },',
+    ].join('\n'),
+  );
+  return [
+    '// Generated by `npm run build` from Application/static; do not edit',
+    `export const CACHE_VERSION = '${cacheVersion(assets)}';`,
+    '',
+    'export const PRECACHE_MANIFEST = [',
+    ...entries,
+    '];',
+    '',
+  ].join('\n');
+};
+
+const writeManifest = async (root) => {
+  const assets = await collectAssets(root);
+  const filePath = path.join(root, MANIFEST_FILE);
+  await fs.promises.writeFile(filePath, renderModule(assets));
+  return { filePath, assets, version: cacheVersion(assets) };
+};
+
+module.exports = {
+  MANIFEST_FILE,
+  collectAssets,
+  cacheVersion,
+  renderModule,
+  writeManifest,
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+const PRESENCE_STATUSES = ['online', 'away', 'busy'];
+const MAX_NAME_LENGTH = 32;
+
+const isStatus = (status) => PRESENCE_STATUSES.includes(status);
+
+const isDisplayName = (name) => {
+  if (typeof name !== 'string') return false;
+  const trimmed = name.trim();
+  return trimmed.length > 0 && trimmed.length <= MAX_NAME_LENGTH;
+};
+
+class Presence {
+  #users = new Map();
+  #typing = new Map();
+  #timer = null;
+
+  constructor(options = {}) {
+    this.typingTimeout = options.typingTimeout ?? 5000;
+    this.typingThrottle = options.typingThrottle ?? 1000;
+    this.onExpire = options.onExpire || (() => {});
+    this.now = options.now || Date.now;
+  }
+
+  connect(userId) {
+    const user = this.#users.get(userId);
+    if (user) {
+      user.connections++;
+      return false;
+    }
+    const name = userId;
+    this.#users.set(userId, { userId, name, status: 'online', connections: 1 });
+    return true;
+  }
+
+  disconnect(userId) {
+    const user = this.#users.get(userId);
+    if (!user) return { offline: false, rooms: [] };
+    user.connections--;
+    if (user.connections > 0) return { offline: false, rooms: [] };
+    this.#users.delete(userId);
+    const rooms = [];
+    for (const [room, typists] of this.#typing) {
+      if (typists.delete(userId)) rooms.push(room);
+      if (typists.size === 0) this.#typing.delete(room);
+    }
+    return { offline: true, rooms };
+  }
+
+  update(userId, { name, status } = {}) {
+    const user = this.#users.get(userId);
+    if (!user) return null;
+    if (name !== undefined) {
+      if (!isDisplayName(name)) throw new Error('Invalid display name');
+      user.name = name.trim();
+    }
+    if (status !== undefined) {
+      if (!isStatus(status)) throw new Error(`Invalid status: ${status}`);
+      user.status = status;
+    }
+    return this.get(userId);
+  }
+
+  get(userId) {
+    const user = this.#users.get(userId);
+    if (!user) return null;
+    const { name, status } = user;
+    return { userId, name, status };
+  }
+
+  list() {
+    return [...this.#users.keys()].map((userId) => this.get(userId));
+  }
+
+  typing(userId, room) {
+    const now = this.now();
+    let typists = this.#typing.get(room);
+    if (!typists) {
+      typists = new Map();
+      this.#typing.set(room, typists);
+    }
+    const entry = typists.get(userId);
+    if (entry && now - entry.updatedAt < this.typingThrottle) {
+      return 'throttled';
+    }
+    const expiresAt = now + this.typingTimeout;
+    typists.set(userId, { updatedAt: now, expiresAt });
+    return entry ? 'refreshed' : 'started';
+  }
+
+  stopTyping(userId, room) {
+    const typists = this.#typing.get(room);
+    if (!typists || !typists.delete(userId)) return false;
+    if (typists.size === 0) this.#typing.delete(room);
+    return true;
+  }
+
+  typingIn(room) {
+    const typists = this.#typing.get(room);
+    return typists ? [...typists.keys()] : [];
+  }
+
+  sweep() {
+    const now = this.now();
+    const expired = [];
+    for (const [room, typists] of this.#typing) {
+      for (const [userId, entry] of typists) {
+        if (entry.expiresAt <= now) expired.push({ userId, room });
+      }
+    }
+    for (const { userId, room } of expired) {
+      this.stopTyping(userId, room);
+      this.onExpire(userId, room);
+    }
+    return expired;
+  }
+
+  start(interval = 1000) {
+    if (this.#timer) return;
+    this.#timer = setInterval(() => this.sweep(), interval);
+    this.#timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+}
+
+module.exports = { PRESENCE_STATUSES, Presence, isDisplayName, isStatus };
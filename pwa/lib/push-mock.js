@@ -0,0 +1,134 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { decrypt } = require('./web-push.js');
+
+const fromBase64 = (data) => Buffer.from(data, 'base64url');
+
+const publicKeyFrom = (point) => {
+  const x = point.subarray(1, 33).toString('base64url');
+  const y = point.subarray(33).toString('base64url');
+  const key = { kty: 'EC', crv: 'P-256', x, y };
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+// `vapid t=<jwt>, k=<key>` → claims, or an error message
+const verifyVapid = (header, origin, now = Date.now()) => {
+  const params = {};
+  for (const part of (header || '').replace(/^vapid\s+/, '').split(',')) {
+    const [name, ...value] = part.trim().split('=');
+    params[name] = value.join('=');
+  }
+  const { t: token, k: publicKey } = params;
+  if (!token || !publicKey) return { error: 'Missing VAPID credentials' };
+  const [header64, claims64, signature64] = token.split('.');
+  let key;
+  try {
+    key = publicKeyFrom(fromBase64(publicKey));
+  } catch {
+    return { error: 'Invalid VAPID key' };
+  }
+  const data = Buffer.from(`${header64}.${claims64}`);
+  const options = { key, dsaEncoding: 'ieee-p1363' };
+  const signature = fromBase64(signature64 || '');
+  if (!crypto.verify('sha256', data, options, signature)) {
+    return { error: 'Invalid VAPID signature' };
+  }
+  let claims;
+  try {
+    claims = JSON.parse(fromBase64(claims64).toString());
+  } catch {
+    return { error: 'Invalid VAPID claims' };
+  }
+  if (claims?.aud !== origin) return { error: 'Wrong VAPID audience' };
+  if (claims.exp * 1000 <= now) return { error: 'Expired VAPID token' };
+  return { claims, publicKey };
+};
+
+// A local push service: verifies VAPID, decrypts and records deliveries
+class MockPushService {
+  #server = null;
+  #receivers = new Map();
+  #waiting = [];
+
+  constructor() {
+    this.received = [];
+    this.origin = null;
+  }
+
+  async start(port = 0) {
+    this.#server = http.createServer((req, res) => this.#handle(req, res));
+    await new Promise((resolve) => {
+      this.#server.listen(port, '127.0.0.1', resolve);
+    });
+    this.origin = `http://127.0.0.1:${this.#server.address().port}`;
+    return this.origin;
+  }
+
+  // A browser-like subscription with its own ECDH key and auth secret
+  subscribe() {
+    const id = crypto.randomUUID();
+    const ecdh = crypto.createECDH('prime256v1');
+    const p256dh = ecdh.generateKeys().toString('base64url');
+    const authSecret = crypto.randomBytes(16);
+    this.#receivers.set(id, { ecdh, authSecret });
+    const auth = authSecret.toString('base64url');
+    return { endpoint: `${this.origin}/push/${id}`, keys: { p256dh, auth } };
+  }
+
+  unsubscribe(endpoint) {
+    return this.#receivers.delete(endpoint.split('/').pop());
+  }
+
+  // Resolves with the next delivery
+  next() {
+    return new Promise((resolve) => {
+      this.#waiting.push(resolve);
+    });
+  }
+
+  async close() {
+    if (!this.#server) return;
+    const closed = new Promise((resolve) => {
+      this.#server.close(resolve);
+    });
+    this.#server.closeAllConnections();
+    await closed;
+    this.#server = null;
+  }
+
+  async #handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const id = req.url.split('/').pop();
+    const receiver = this.#receivers.get(id);
+    if (req.method !== 'POST' || !receiver) {
+      res.writeHead(receiver ? 405 : 410);
+      res.end();
+      return;
+    }
+    const vapid = verifyVapid(req.headers.authorization, this.origin);
+    if (vapid.error) {
+      res.writeHead(401);
+      res.end(vapid.error);
+      return;
+    }
+    try {
+      const body = Buffer.concat(chunks);
+      const { ecdh, authSecret } = receiver;
+      const payload = decrypt(ecdh, authSecret, body).toString();
+      const { ttl, urgency, topic } = req.headers;
+      const delivery = { id, payload, ttl, urgency, topic, ...vapid };
+      this.received.push(delivery);
+      for (const resolve of this.#waiting.splice(0)) resolve(delivery);
+      res.writeHead(201);
+      res.end();
+    } catch (error) {
+      res.writeHead(400);
+      res.end(error.message);
+    }
+  }
+}
+
+module.exports = { MockPushService, verifyVapid };
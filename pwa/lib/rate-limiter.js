@@ -0,0 +1,65 @@
+'use strict';
+
+class TokenBucket {
+  constructor(capacity, perSecond, now = Date.now) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  take(cost = 1) {
+    const now = this.now();
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed * this.perSecond,
+    );
+    this.updatedAt = now;
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+
+  // Milliseconds until `cost` tokens are available again
+  retryAfter(cost = 1) {
+    const missing = cost - this.tokens;
+    return missing > 0 ? Math.ceil((missing / this.perSecond) * 1000) : 0;
+  }
+}
+
+// Budgets: `{ [type]: { capacity, perSecond } }`, `default` covers the rest
+class RateLimiter {
+  #buckets = new Map();
+
+  constructor(budgets, now = Date.now) {
+    this.budgets = budgets;
+    this.now = now;
+  }
+
+  take(type) {
+    const bucket = this.#bucket(type);
+    return bucket ? bucket.take() : true;
+  }
+
+  retryAfter(type) {
+    const bucket = this.#bucket(type);
+    return bucket ? bucket.retryAfter() : 0;
+  }
+
+  #bucket(type) {
+    const key = Object.hasOwn(this.budgets, type) ? type : 'default';
+    const budget = this.budgets[key];
+    if (!budget) return null;
+    let bucket = this.#buckets.get(key);
+    if (!bucket) {
+      const { capacity, perSecond } = budget;
+      bucket = new TokenBucket(capacity, perSecond, this.now);
+      this.#buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+}
+
+module.exports = { TokenBucket, RateLimiter };
@@ -0,0 +1,37 @@
+'use strict';
+
+const MAX_REACTIONS = 20;
+
+class ReactionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReactionError';
+  }
+}
+
+// `reactions` maps each emoji to the users who chose it. Returns a new
+// object, or null when the reaction was already in that state.
+const applyReaction = (
+  reactions,
+  { emoji, userId, action = 'add' },
+  limit = MAX_REACTIONS,
+) => {
+  const result = new Map(Object.entries(reactions || {}));
+  const users = result.get(emoji) || [];
+  if (action === 'add') {
+    if (users.includes(userId)) return null;
+    if (users.length === 0 && result.size >= limit) {
+      throw new ReactionError(`At most ${limit} reactions per message`);
+    }
+    result.set(emoji, [...users, userId]);
+  } else {
+    if (!users.includes(userId)) return null;
+    const rest = users.filter((user) => user !== userId);
+    if (rest.length > 0) result.set(emoji, rest);
+    else result.delete(emoji);
+  }
+  // fromEntries defines own keys, so an emoji like `__proto__` stays data
+  return Object.fromEntries(result);
+};
+
+module.exports = { MAX_REACTIONS, ReactionError, applyReaction };
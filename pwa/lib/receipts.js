@@ -0,0 +1,52 @@
+'use strict';
+
+const RECEIPT_STATUSES = ['delivered', 'read'];
+
+const isReceiptStatus = (status) => RECEIPT_STATUSES.includes(status);
+
+class ReceiptTracker {
+  #receipts = new Map();
+
+  constructor(limit = 1000) {
+    this.limit = limit;
+  }
+
+  record(id, userId, status) {
+    const rank = RECEIPT_STATUSES.indexOf(status);
+    if (rank === -1) return false;
+    let recipients = this.#receipts.get(id);
+    if (!recipients) {
+      recipients = new Map();
+      this.#receipts.set(id, recipients);
+      this.#evict();
+    }
+    const current = RECEIPT_STATUSES.indexOf(recipients.get(userId));
+    if (current >= rank) return false;
+    recipients.set(userId, status);
+    return true;
+  }
+
+  get(id) {
+    const result = { delivered: [], read: [] };
+    const recipients = this.#receipts.get(id);
+    if (!recipients) return result;
+    for (const [userId, status] of recipients) {
+      result.delivered.push(userId);
+      if (status === 'read') result.read.push(userId);
+    }
+    return result;
+  }
+
+  delete(id) {
+    return this.#receipts.delete(id);
+  }
+
+  #evict() {
+    while (this.#receipts.size > this.limit) {
+      const [oldest] = this.#receipts.keys();
+      this.#receipts.delete(oldest);
+    }
+  }
+}
+
+module.exports = { RECEIPT_STATUSES, ReceiptTracker, isReceiptStatus };
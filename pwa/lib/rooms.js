@@ -0,0 +1,108 @@
+'use strict';
+
+const DEFAULT_ROOM = 'general';
+const ROOM_NAME = /^[\w-]{1,64}$/;
+
+const isRoomName = (name) => typeof name === 'string' && ROOM_NAME.test(name);
+
+class RoomRegistry {
+  #rooms = new Map();
+  #memberships = new Map();
+  #subscribers = new Map();
+
+  constructor(defaultRoom = DEFAULT_ROOM) {
+    this.defaultRoom = defaultRoom;
+    this.#rooms.set(defaultRoom, new Set());
+  }
+
+  join(room, clientId) {
+    let members = this.#rooms.get(room);
+    if (!members) {
+      members = new Set();
+      this.#rooms.set(room, members);
+    }
+    if (members.has(clientId)) return false;
+    members.add(clientId);
+    let rooms = this.#memberships.get(clientId);
+    if (!rooms) {
+      rooms = new Set();
+      this.#memberships.set(clientId, rooms);
+    }
+    rooms.add(room);
+    return true;
+  }
+
+  leave(room, clientId) {
+    const members = this.#rooms.get(room);
+    if (!members || !members.delete(clientId)) return false;
+    if (members.size === 0 && room !== this.defaultRoom) {
+      this.#rooms.delete(room);
+    }
+    const rooms = this.#memberships.get(clientId);
+    rooms.delete(room);
+    if (rooms.size === 0) this.#memberships.delete(clientId);
+    return true;
+  }
+
+  leaveAll(clientId) {
+    const rooms = [...this.roomsOf(clientId)];
+    for (const room of rooms) this.leave(room, clientId);
+    return rooms;
+  }
+
+  has(room, clientId) {
+    return this.#rooms.get(room)?.has(clientId) || false;
+  }
+
+  members(room) {
+    const members = this.#rooms.get(room);
+    return members ? [...members] : [];
+  }
+
+  count(room) {
+    return this.#rooms.get(room)?.size || 0;
+  }
+
+  roomsOf(clientId) {
+    return this.#memberships.get(clientId) || new Set();
+  }
+
+  list() {
+    return [...this.#rooms.keys()];
+  }
+
+  // Users stay subscribed to a room while offline, until they leave it
+  subscribe(room, userId) {
+    let users = this.#subscribers.get(room);
+    if (!users) {
+      users = new Set();
+      this.#subscribers.set(room, users);
+    }
+    users.add(userId);
+  }
+
+  unsubscribe(room, userId) {
+    const users = this.#subscribers.get(room);
+    if (!users) return;
+    users.delete(userId);
+    if (users.size === 0) this.#subscribers.delete(room);
+  }
+
+  unsubscribeAll(userId) {
+    for (const room of [...this.#subscribers.keys()]) {
+      this.unsubscribe(room, userId);
+    }
+  }
+
+  isSubscribed(room, userId) {
+    return this.#subscribers.get(room)?.has(userId) || false;
+  }
+
+  // Direct messages are for their two users, room messages for subscribers
+  canRead({ room, to, userId: author }, userId) {
+    if (to) return userId === to || userId === author;
+    return this.isSubscribed(room, userId);
+  }
+}
+
+module.exports = { DEFAULT_ROOM, RoomRegistry, isRoomName };
@@ -0,0 +1,100 @@
+'use strict';
+
+// Code point ranges stripped from text; tab and line feed are kept
+const UNSAFE_RANGES = {
+  controlsBeforeTab: [0x0000, 0x0008],
+  controlsAfterLineFeed: [0x000b, 0x001f],
+  delete: [0x007f, 0x007f],
+  zeroWidthAndMarks: [0x200b, 0x200f],
+  bidiEmbeddings: [0x202a, 0x202e],
+  bidiIsolates: [0x2066, 0x2069],
+  byteOrderMark: [0xfeff, 0xfeff],
+};
+
+const escapeCodePoint = (code) => `\\u${code.toString(16).padStart(4, '0')}`;
+
+// A regular expression matching any code point of the `[from, to]` ranges
+const characterClass = (ranges, flags = '') => {
+  const items = ranges
+    .map(([from, to]) => `${escapeCodePoint(from)}-${escapeCodePoint(to)}`)
+    .join('');
+  return new RegExp(`[${items}]`, flags);
+};
+
+const UNSAFE_CHARS = characterClass(Object.values(UNSAFE_RANGES), 'g');
+
+const sanitizeText = (text) =>
+  text
+    .normalize('NFC')
+    .replace(UNSAFE_CHARS, '')
+    .replace(/\r\n?/g, '\n')
+    .trim();
+
+const typeOf = (value) => {
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const types = Array.isArray(expected) ? expected : [expected];
+  const actual = typeOf(value);
+  if (types.includes(actual)) return true;
+  return actual === 'integer' && types.includes('number');
+};
+
+const checkField = (name, rule, input) => {
+  let value = input;
+  if (value === undefined || value === null) {
+    return rule.required ? { error: `${name} is required` } : { value };
+  }
+  if (!matchesType(value, rule.type)) {
+    return { error: `${name} must be ${[rule.type].flat().join(' or ')}` };
+  }
+  if (typeof value === 'string') {
+    if (rule.sanitize) value = sanitizeText(value);
+    if (rule.required && value.length === 0) {
+      return { error: `${name} must not be empty` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { error: `${name} exceeds ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { error: `${name} has invalid format` };
+    }
+  }
+  if (rule.check && !rule.check(value)) {
+    return { error: `${name} is invalid` };
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `${name} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `${name} must be at most ${rule.max}` };
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `${name} must be one of: ${rule.enum.join(', ')}` };
+  }
+  return { value };
+};
+
+// Schemas: `{ [type]: { [field]: rule } }`; undeclared fields are dropped
+const validate = (schemas, message) => {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { errors: ['frame must be a JSON object'] };
+  }
+  const { type } = message;
+  const schema = Object.hasOwn(schemas, type) ? schemas[type] : null;
+  if (!schema) return { errors: [`unknown message type: ${type}`] };
+  const value = { type };
+  const errors = [];
+  for (const [name, rule] of Object.entries(schema)) {
+    const result = checkField(name, rule, message[name]);
+    if (result.error) errors.push(result.error);
+    else if (result.value !== undefined) value[name] = result.value;
+  }
+  return errors.length > 0 ? { errors } : { value };
+};
+
+module.exports = { characterClass, sanitizeText, validate };
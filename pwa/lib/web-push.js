@@ -0,0 +1,279 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+
+const CURVE = 'prime256v1';
+const RECORD_SIZE = 4096;
+// One aes128gcm record: header (86) + payload + delimiter (1) + tag (16)
+const MAX_PAYLOAD = RECORD_SIZE - 86 - 17;
+const VAPID_TTL = 12 * 60 * 60;
+const DEFAULT_TTL = 24 * 60 * 60;
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+const GONE = new Set([404, 410]);
+
+const toBase64 = (data) => Buffer.from(data).toString('base64url');
+
+const fromBase64 = (data) => Buffer.from(data, 'base64url');
+
+// Keys as used by PushManager: uncompressed public point, raw private scalar
+const generateVapidKeys = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: CURVE,
+  });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const { d } = privateKey.export({ format: 'jwk' });
+  const point = Buffer.concat([Buffer.from([4]), fromBase64(x), fromBase64(y)]);
+  return { publicKey: toBase64(point), privateKey: d };
+};
+
+const signingKey = (publicKey, privateKey) => {
+  const point = fromBase64(publicKey);
+  if (point.length !== 65 || point[0] !== 4) {
+    throw new Error('VAPID public key must be an uncompressed P-256 point');
+  }
+  const x = toBase64(point.subarray(1, 33));
+  const y = toBase64(point.subarray(33));
+  const jwk = { kty: 'EC', crv: 'P-256', x, y, d: privateKey };
+  return crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+};
+
+// RFC 8292: a JWT signed for the push service origin
+const vapidHeader = (endpoint, vapid, now = Date.now()) => {
+  const { subject, publicKey, privateKey } = vapid;
+  const header = toBase64(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = {
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TTL,
+    sub: subject,
+  };
+  const unsigned = `${header}.${toBase64(JSON.stringify(claims))}`;
+  const key = signingKey(publicKey, privateKey);
+  const options = { key, dsaEncoding: 'ieee-p1363' };
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), options);
+  return `vapid t=${unsigned}.${toBase64(signature)}, k=${publicKey}`;
+};
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+const deriveKeys = (secret, authSecret, receiverKey, senderKey, salt) => {
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    receiverKey,
+    senderKey,
+  ]);
+  const ikm = hkdf(secret, authSecret, keyInfo, 32);
+  const cekInfo = Buffer.from('Content-Encoding: aes128gcm\0');
+  const nonceInfo = Buffer.from('Content-Encoding: nonce\0');
+  return {
+    key: hkdf(ikm, salt, cekInfo, 16),
+    nonce: hkdf(ikm, salt, nonceInfo, 12),
+  };
+};
+
+// RFC 8291 payload encryption as a single aes128gcm record
+const encrypt = (keys, payload) => {
+  const data = Buffer.from(payload);
+  if (data.length > MAX_PAYLOAD) {
+    throw new Error(`Push payload exceeds ${MAX_PAYLOAD} bytes`);
+  }
+  const receiverKey = fromBase64(keys.p256dh);
+  const ecdh = crypto.createECDH(CURVE);
+  const senderKey = ecdh.generateKeys();
+  const secret = ecdh.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+  const authSecret = fromBase64(keys.auth);
+  const args = [secret, authSecret, receiverKey, senderKey, salt];
+  const { key, nonce } = deriveKeys(...args);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  const padded = Buffer.concat([data, Buffer.from([2])]);
+  const body = Buffer.concat([cipher.update(padded), cipher.final()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+  return Buffer.concat([header, senderKey, body, cipher.getAuthTag()]);
+};
+
+// Receiver side, used by the mock push service
+const decrypt = (ecdh, authSecret, body) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+  const secret = ecdh.computeSecret(senderKey);
+  const receiverKey = ecdh.getPublicKey();
+  const args = [secret, authSecret, receiverKey, senderKey, salt];
+  const { key, nonce } = deriveKeys(...args);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(-16));
+  const padded = Buffer.concat([
+    decipher.update(record.subarray(0, -16)),
+    decipher.final(),
+  ]);
+  const end = padded.lastIndexOf(2);
+  if (end === -1) throw new Error('Missing padding delimiter');
+  return padded.subarray(0, end);
+};
+
+const isLocalHost = (hostname) =>
+  hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+
+// Plain http is accepted only for a push service on this machine
+const validateSubscription = (subscription, { allowLocal = false } = {}) => {
+  const { endpoint, keys } = subscription || {};
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return 'Invalid push endpoint';
+  }
+  const local = allowLocal && isLocalHost(url.hostname);
+  if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) {
+    return 'Push endpoint must use https';
+  }
+  if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+    return 'Subscription keys are required';
+  }
+  const point = fromBase64(keys.p256dh);
+  if (point.length !== 65 || point[0] !== 4) return 'Invalid p256dh key';
+  if (fromBase64(keys.auth).length !== 16) return 'Invalid auth secret';
+  return null;
+};
+
+const post = (endpoint, headers, body) => {
+  const url = new URL(endpoint);
+  const transport = url.protocol === 'https:' ? https : http;
+  const options = { method: 'POST', headers };
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, options, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+class PushSender {
+  constructor(vapid, options = {}) {
+    this.vapid = vapid;
+    this.request = options.request || post;
+    this.now = options.now || Date.now;
+  }
+
+  // Resolves with `{ statusCode, gone }`; gone subscriptions must be dropped
+  async send(subscription, payload, options = {}) {
+    const { ttl = DEFAULT_TTL, urgency = 'normal', topic } = options;
+    if (!URGENCIES.includes(urgency)) {
+      throw new Error(`Unknown urgency: ${urgency}`);
+    }
+    const { endpoint, keys } = subscription;
+    const text =
+      typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const body = encrypt(keys, text);
+    const headers = {
+      Authorization: vapidHeader(endpoint, this.vapid, this.now()),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': body.length,
+      TTL: ttl,
+      Urgency: urgency,
+    };
+    if (topic) headers.Topic = topic;
+    const { statusCode } = await this.request(endpoint, headers, body);
+    return { statusCode, gone: GONE.has(statusCode) };
+  }
+}
+
+// Subscriptions by endpoint; `filePath` persists them as JSON
+class SubscriptionStore {
+  #queue = Promise.resolve();
+
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.subscriptions = new Map();
+  }
+
+  async load() {
+    if (!this.filePath) return this.subscriptions.size;
+    const text = await fs.promises
+      .readFile(this.filePath, 'utf8')
+      .catch((error) => {
+        if (error.code === 'ENOENT') return '[]';
+        throw error;
+      });
+    try {
+      for (const entry of JSON.parse(text)) {
+        this.subscriptions.set(entry.endpoint, entry);
+      }
+    } catch {
+      console.warn(`Push: ignoring corrupted ${this.filePath}`);
+    }
+    return this.subscriptions.size;
+  }
+
+  async add(userId, { endpoint, keys }) {
+    const createdAt = new Date().toISOString();
+    const entry = { endpoint, keys, userId, createdAt };
+    this.subscriptions.set(endpoint, entry);
+    await this.#save();
+    return entry;
+  }
+
+  async remove(endpoint) {
+    if (!this.subscriptions.delete(endpoint)) return false;
+    await this.#save();
+    return true;
+  }
+
+  get(endpoint) {
+    return this.subscriptions.get(endpoint) || null;
+  }
+
+  forUser(userId) {
+    const all = [...this.subscriptions.values()];
+    return all.filter((entry) => entry.userId === userId);
+  }
+
+  list() {
+    return [...this.subscriptions.values()];
+  }
+
+  get size() {
+    return this.subscriptions.size;
+  }
+
+  #save() {
+    if (!this.filePath) return Promise.resolve();
+    const task = async () => {
+      const text = JSON.stringify(this.list(), null, 2);
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, text);
+      await fs.promises.rename(tmpPath, this.filePath);
+    };
+    const result = this.#queue.then(task);
+    this.#queue = result.catch((error) => {
+      console.error(`Push: failed to write ${this.filePath}:`, error);
+    });
+    return result;
+  }
+}
+
+module.exports = {
+  MAX_PAYLOAD,
+  generateVapidKeys,
+  vapidHeader,
+  encrypt,
+  decrypt,
+  validateSubscription,
+  PushSender,
+  SubscriptionStore,
+};
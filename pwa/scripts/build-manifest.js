@@ -0,0 +1,18 @@
+'use strict';
+
+const path = require('node:path');
+const { writeManifest } = require('../lib/precache-manifest.js');
+
+const STATIC_PATH = path.join(__dirname, '..', 'Application', 'static');
+
+const main = async () => {
+  const { filePath, assets, version } = await writeManifest(STATIC_PATH);
+  const file = path.relative(process.cwd(), filePath);
+  console.log(`Precache manifest: ${assets.length} assets, ${version}`);
+  console.log(`Written to ${file}`);
+};
+
+main().catch((error) => {
+  console.error('Failed to build precache manifest:', error);
+  process.exitCode = 1;
+});
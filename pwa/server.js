@@ -6,6 +6,21 @@ const https = require('node:https');
 const path = require('node:path');
 const { WebSocketServer } = require('ws');
 const { randomUUID } = require('node:crypto');
+const { createHistoryStore } = require('./lib/history-store.js');
+const { DEFAULT_ROOM, RoomRegistry, isRoomName } = require('./lib/rooms.js');
+const { ReceiptTracker } = require('./lib/receipts.js');
+const { AckCache } = require('./lib/acks.js');
+const { createChatHandlers } = require('./lib/chat-handlers.js');
+const { ConversationStore } = require('./lib/conversations.js');
+const { Heartbeat } = require('./lib/heartbeat.js');
+const auth = require('./lib/auth.js');
+const { Presence } = require('./lib/presence.js');
+const { validate } = require('./lib/schema.js');
+const { RateLimiter } = require('./lib/rate-limiter.js');
+const httpCache = require('./lib/http-cache.js');
+const compression = require('./lib/compression.js');
+const webPush = require('./lib/web-push.js');
+const attachments = require('./lib/attachments.js');
 
 const PORT = 8000;
 const HTTPS_PORT = 8443;
@@ -41,28 +56,533 @@ const HEADERS_HTML = {
   'X-XSS-Protection': '1; mode=block',
 };
 
+// Unhashed file names: code and documents are revalidated on every use
+const CACHE_CONTROL = {
+  default: 'public, max-age=3600',
+  html: 'no-cache',
+  js: 'no-cache',
+  json: 'no-cache',
+  css: 'no-cache',
+  png: 'public, max-age=86400',
+  jpg: 'public, max-age=86400',
+  jpeg: 'public, max-age=86400',
+  gif: 'public, max-age=86400',
+  ico: 'public, max-age=86400',
+  svg: 'public, max-age=86400',
+};
+
+// Text bodies above `threshold` bytes are compressed unless a `.br`/`.gz`
+// sibling already exists next to the file
+const COMPRESSION = {
+  types: new Set(['html', 'js', 'css', 'json', 'svg']),
+  threshold: Number(process.env.COMPRESSION_THRESHOLD) || 1024,
+  cacheBytes: 16 * 1024 * 1024,
+};
+
 const STATIC_PATH = path.join(__dirname, 'Application', 'static');
 
+// Chat history: `file` (JSON lines on disk) or `memory`
+const HISTORY = {
+  type: process.env.HISTORY_STORE || 'file',
+  filePath: path.join(__dirname, 'data', 'messages.jsonl'),
+  maxCount: Number(process.env.HISTORY_MAX_COUNT) || 100,
+  maxAge: Number(process.env.HISTORY_MAX_AGE) || 7 * 24 * 60 * 60 * 1000,
+};
+// Direct messages: the same retention for each pair of users
+const CONVERSATIONS = {
+  type: HISTORY.type,
+  dir: path.join(__dirname, 'data', 'conversations'),
+  maxCount: Number(process.env.DM_HISTORY_MAX_COUNT) || 100,
+  maxAge: HISTORY.maxAge,
+};
+const RECENT_MESSAGES = 10;
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_PAGE_MAX = 100;
+
+// Protocol-level ping sweep; sockets silent for `timeout` ms are terminated
+const HEARTBEAT = {
+  interval: Number(process.env.HEARTBEAT_INTERVAL) || 30000,
+  timeout: Number(process.env.HEARTBEAT_TIMEOUT) || 75000,
+};
+
+// Token handshake: `Sec-WebSocket-Protocol: chat, auth.<token>` or `auth` frame
+const AUTH = {
+  required: process.env.AUTH_REQUIRED !== 'false',
+  secret: process.env.AUTH_SECRET,
+  ttl: Number(process.env.AUTH_TTL) || 7 * 24 * 60 * 60 * 1000,
+  timeout: 5000,
+};
+const AUTH_FAILED = 4001;
+
+// Web Push: generated VAPID keys invalidate subscriptions on restart
+const PUSH = {
+  subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  store: process.env.PUSH_STORE || 'file',
+  filePath: path.join(__dirname, 'data', 'push-subscriptions.json'),
+  // Accept http endpoints on localhost (MockPushService in lib/push-mock.js)
+  allowLocal: process.env.PUSH_ALLOW_LOCAL === 'true',
+  ttl: 24 * 60 * 60,
+  preview: 200,
+};
+const BODY_LIMIT = 64 * 1024;
+
+// Attachments: sniffed and stored as `data/uploads/<id>`, served with auth
+const UPLOADS = {
+  dir: process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads'),
+  maxSize: Number(process.env.UPLOAD_MAX_SIZE) || attachments.MAX_SIZE,
+  // Ids are never reused, so a stored file never changes
+  cacheControl: 'private, max-age=31536000, immutable',
+};
+
+// Frames above FRAME_LIMIT get an error; above BODY_LIMIT the socket is closed
+const FRAME_LIMIT = 16 * 1024;
+const MAX_MESSAGE_LENGTH = Number(process.env.MAX_MESSAGE_LENGTH) || 2000;
+
+// Token buckets per connection and frame type
+const RATE_LIMITS = {
+  default: { capacity: 30, perSecond: 10 },
+  message: {
+    capacity: Number(process.env.MESSAGE_BURST) || 10,
+    perSecond: Number(process.env.MESSAGE_RATE) || 2,
+  },
+  typing: { capacity: 5, perSecond: 1 },
+  history: { capacity: 5, perSecond: 1 },
+};
+
+// Set by loadProtocol() before the server listens
+let protocol = null;
+let MESSAGE_SCHEMAS = null;
+
+// The protocol is an ES module shared with the page; require() can only
+// load it since Node 20.19, so it is imported before start
+const loadProtocol = async () => {
+  protocol = await import('./Application/static/protocol.js');
+  // Frame specs come from the shared protocol; the server adds its limits
+  MESSAGE_SCHEMAS = protocol.schemas('client', {
+    message: { content: { maxLength: MAX_MESSAGE_LENGTH } },
+    edit: { content: { maxLength: MAX_MESSAGE_LENGTH } },
+  });
+};
+
 const connections = new Map();
-const messages = [];
-const MAX_MESSAGES = 100;
+const history = createHistoryStore(HISTORY);
+const conversations = new ConversationStore(CONVERSATIONS);
+const rooms = new RoomRegistry(DEFAULT_ROOM);
+const receipts = new ReceiptTracker(HISTORY.maxCount);
+const uploads = new attachments.AttachmentStore(UPLOADS.dir, UPLOADS);
+
+if (!AUTH.secret) {
+  console.warn('AUTH_SECRET is not set: tokens expire on server restart');
+}
+const verifier = new auth.HmacAuth(AUTH);
+
+if (!PUSH.publicKey || !PUSH.privateKey) {
+  console.warn('VAPID keys are not set: push subscriptions expire on restart');
+  Object.assign(PUSH, webPush.generateVapidKeys());
+}
+const pushSender = new webPush.PushSender(PUSH);
+const pushFile = PUSH.store === 'file' ? PUSH.filePath : null;
+const subscriptions = new webPush.SubscriptionStore(pushFile);
+subscriptions.load().catch((error) => {
+  console.error('Failed to load push subscriptions:', error);
+});
+
+const heartbeat = new Heartbeat({
+  ...HEARTBEAT,
+  onReap: (clientId) => {
+    console.log(`Heartbeat: reaping unresponsive client ${clientId}`);
+    const connection = connections.get(clientId);
+    if (connection) connection.reason = 'timeout';
+  },
+});
 
-const toBool = [() => true, () => false];
+const acks = new AckCache(HISTORY.maxCount);
+
+// Direct messages have a `to` user instead of a room
+const inRoom = (room) => (message) =>
+  !message.to && (message.room || DEFAULT_ROOM) === room;
+
+const pageSize = (limit) => {
+  const size = Number(limit) || HISTORY_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), HISTORY_PAGE_MAX);
+};
+
+const readHistory = ({ room = DEFAULT_ROOM, before = null, limit }) => {
+  const filter = inRoom(room);
+  return { room, ...history.page({ before, limit: pageSize(limit), filter }) };
+};
+
+// The private conversation of two users
+const readConversation = (userId, peer, { before = null, limit }) => {
+  const options = { before, limit: pageSize(limit) };
+  return { peer, ...conversations.page(userId, peer, options) };
+};
+
+const etags = new httpCache.ETagCache();
+const compressed = new compression.CompressionCache({
+  maxBytes: COMPRESSION.cacheBytes,
+});
+
+const statFile = (filePath) =>
+  fs.promises.stat(filePath).then(
+    (stat) => (stat.isFile() ? stat : null),
+    () => null,
+  );
 
 const prepareFile = async (url) => {
   const paths = [STATIC_PATH, url];
   if (url.endsWith('/')) paths.push('index.html');
   const filePath = path.join(...paths);
   const pathTraversal = !filePath.startsWith(STATIC_PATH);
-  const exists = await fs.promises.access(filePath).then(...toBool);
-  const found = !pathTraversal && exists;
+  const stat = pathTraversal ? null : await statFile(filePath);
+  const found = stat !== null;
   const streamPath = found ? filePath : path.join(STATIC_PATH, '404.html');
   const ext = path.extname(streamPath).substring(1).toLowerCase();
-  const stream = fs.createReadStream(streamPath);
-  return { found, ext, stream };
+  if (!found) return { found, ext, stream: fs.createReadStream(streamPath) };
+  const etag = await etags.get(filePath, stat);
+  const lastModified = new Date(stat.mtimeMs);
+  return { found, ext, filePath, size: stat.size, etag, lastModified };
 };
 
-const requestHandler = async (req, res) => {
+const findPrecompressed = async (filePath, encoding) => {
+  const siblingPath = filePath + compression.ENCODINGS[encoding].extension;
+  const stat = await statFile(siblingPath);
+  if (!stat) return null;
+  const etag = await etags.get(siblingPath, stat);
+  return { filePath: siblingPath, size: stat.size, etag };
+};
+
+// Byte ranges always address the identity body, so they are never encoded
+const encodeFile = async (req, file) => {
+  if (!COMPRESSION.types.has(file.ext) || req.headers.range) return file;
+  const encoding = compression.negotiate(req.headers['accept-encoding']);
+  if (!encoding) return file;
+  const sibling = await findPrecompressed(file.filePath, encoding);
+  if (sibling) return { ...file, ...sibling, encoding };
+  if (file.size < COMPRESSION.threshold) return file;
+  try {
+    const body = await compressed.get(file.filePath, file.etag, encoding);
+    const etag = `${file.etag.slice(0, -1)}-${encoding}"`;
+    return { ...file, body, size: body.length, etag, encoding };
+  } catch (error) {
+    console.error(`Compression failed for ${file.filePath}:`, error);
+    return file;
+  }
+};
+
+const serveFile = async (req, res, identity, headers) => {
+  const file = await encodeFile(req, identity);
+  const { filePath, size, etag, lastModified } = file;
+  const cacheControl =
+    file.cacheControl || CACHE_CONTROL[file.ext] || CACHE_CONTROL.default;
+  Object.assign(headers, {
+    ETag: etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': cacheControl,
+    'Accept-Ranges': 'bytes',
+  });
+  if (COMPRESSION.types.has(file.ext)) headers.Vary = 'Accept-Encoding';
+  if (file.encoding) headers['Content-Encoding'] = file.encoding;
+
+  if (httpCache.isNotModified(req.headers, file)) {
+    delete headers['Content-Type'];
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  const useRange = httpCache.rangeApplies(req.headers, file);
+  const range = useRange ? httpCache.parseRange(req.headers.range, size) : null;
+  if (range?.unsatisfiable) {
+    headers['Content-Range'] = `bytes */${size}`;
+    res.writeHead(416, headers);
+    res.end();
+    return;
+  }
+
+  const { start = 0, end = size - 1 } = range || {};
+  headers['Content-Length'] = end - start + 1;
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  res.writeHead(range ? 206 : 200, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  if (file.body) res.end(file.body);
+  else fs.createReadStream(filePath, { start, end }).pipe(res);
+};
+
+const sendJson = (res, statusCode, data) => {
+  res.writeHead(statusCode, { ...HEADERS, 'Content-Type': MIME_TYPES.json });
+  res.end(JSON.stringify(data));
+};
+
+const readBody = async (req, limit = BODY_LIMIT) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new Error('Payload too large');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const readJson = async (req, limit = BODY_LIMIT) => {
+  const text = (await readBody(req, limit)).toString();
+  return text ? JSON.parse(text) : {};
+};
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return null;
+  return header.substring('Bearer '.length);
+};
+
+const authorize = async (req) => verifier.verify(bearerToken(req));
+
+// Room membership belongs to connections: one open socket in the room is
+// enough for its user, also to read the history over HTTP
+const isMember = (userId, room) =>
+  rooms
+    .members(room)
+    .some((clientId) => connections.get(clientId)?.userId === userId);
+
+const isOnline = (userId) => {
+  for (const connection of connections.values()) {
+    if (connection.userId === userId) return true;
+  }
+  return false;
+};
+
+const push = async (entries, payload) => {
+  const results = await Promise.allSettled(
+    entries.map((entry) => pushSender.send(entry, payload, { ttl: PUSH.ttl })),
+  );
+  for (const [index, result] of results.entries()) {
+    const { endpoint } = entries[index];
+    if (result.status === 'rejected') {
+      console.error(`Push to ${endpoint} failed:`, result.reason.message);
+    } else if (result.value.gone) {
+      await subscriptions.remove(endpoint);
+      console.log(`Push subscription expired: ${endpoint}`);
+    }
+  }
+  return results;
+};
+
+// Attachments always belong to a user, whatever AUTH_REQUIRED says
+const authorizeUpload = async (req, res) => {
+  const identity = await authorize(req);
+  if (identity) return identity;
+  sendJson(res, 401, { error: 'Authentication required' });
+  return null;
+};
+
+// The uploader, and users who can see a message that carries the file
+const canDownload = (userId, attachment) => {
+  if (attachment.userId === userId) return true;
+  const carries = (entry) => entry.attachment?.id === attachment.id;
+  const entries = [
+    ...history.recent(Infinity, carries),
+    ...conversations.filter(carries),
+  ];
+  return entries.some((entry) => {
+    if (entry.to) return entry.userId === userId || entry.to === userId;
+    return isMember(userId, entry.room);
+  });
+};
+
+const contentDisposition = ({ name, type }) => {
+  const inline = type.startsWith('image/') || type === 'text/plain';
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name);
+  const disposition = inline ? 'inline' : 'attachment';
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const serveUpload = async (req, res, url, { id }) => {
+  const identity = await authorizeUpload(req, res);
+  if (!identity) return;
+  const attachment = uploads.get(id);
+  const visible = attachment && canDownload(identity.userId, attachment);
+  const stat = visible ? await statFile(uploads.filePath(id)) : null;
+  if (!stat) {
+    sendJson(res, 404, { error: `Unknown attachment: ${id}` });
+    return;
+  }
+  const file = {
+    filePath: uploads.filePath(id),
+    size: stat.size,
+    etag: `"${id}"`,
+    lastModified: new Date(attachment.createdAt),
+    cacheControl: UPLOADS.cacheControl,
+  };
+  const headers = {
+    ...HEADERS,
+    'Content-Type': attachment.type,
+    'Content-Disposition': contentDisposition(attachment),
+    // Opened directly, uploaded content runs no scripts
+    'Content-Security-Policy': 'sandbox',
+    'X-Content-Type-Options': 'nosniff',
+  };
+  await serveFile(req, res, file, headers);
+};
+
+const routes = {
+  'GET /api/push/key': (req, res) => {
+    sendJson(res, 200, { publicKey: PUSH.publicKey });
+  },
+
+  'POST /api/push/subscribe': async (req, res) => {
+    const identity = await authorize(req);
+    if (!identity) {
+      sendJson(res, 401, { error: 'Authentication required' });
+      return;
+    }
+    try {
+      const subscription = await readJson(req);
+      const { allowLocal } = PUSH;
+      const options = { allowLocal };
+      const invalid = webPush.validateSubscription(subscription, options);
+      if (invalid) {
+        sendJson(res, 400, { error: invalid });
+        return;
+      }
+      await subscriptions.add(identity.userId, subscription);
+      sendJson(res, 201, { endpoint: subscription.endpoint });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  },
+
+  'DELETE /api/push/subscribe': async (req, res) => {
+    const identity = await authorize(req);
+    if (!identity) {
+      sendJson(res, 401, { error: 'Authentication required' });
+      return;
+    }
+    try {
+      const { endpoint } = await readJson(req);
+      const entry = subscriptions.get(endpoint);
+      if (!entry || entry.userId !== identity.userId) {
+        sendJson(res, 404, { error: 'Unknown subscription' });
+        return;
+      }
+      await subscriptions.remove(endpoint);
+      sendJson(res, 200, { endpoint });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  },
+
+  'POST /api/push/test': async (req, res) => {
+    const identity = await authorize(req);
+    if (!identity) {
+      sendJson(res, 401, { error: 'Authentication required' });
+      return;
+    }
+    const entries = subscriptions.forUser(identity.userId);
+    const payload = { type: 'test', title: 'PWA Example', body: 'Push works' };
+    const results = await push(entries, payload);
+    const sent = results.filter((result) => result.status === 'fulfilled');
+    sendJson(res, 200, { subscriptions: entries.length, sent: sent.length });
+  },
+
+  // Clients never choose their user id: without a token the server creates
+  // one, a valid bearer token is renewed for the same user
+  'POST /api/auth/token': async (req, res) => {
+    if (req.headers.authorization) {
+      const token = await verifier.renew(bearerToken(req));
+      if (!token) {
+        sendJson(res, 401, { error: 'Invalid or expired token' });
+        return;
+      }
+      const { userId } = await verifier.verify(token);
+      sendJson(res, 200, { userId, token, expiresIn: verifier.ttl });
+      return;
+    }
+    const userId = randomUUID();
+    const token = verifier.issue(userId);
+    sendJson(res, 200, { userId, token, expiresIn: verifier.ttl });
+  },
+
+  'POST /api/uploads': async (req, res, url) => {
+    const identity = await authorizeUpload(req, res);
+    if (!identity) return;
+    const length = Number(req.headers['content-length']);
+    if (length > UPLOADS.maxSize) {
+      sendJson(res, 413, { error: `Upload exceeds ${UPLOADS.maxSize} bytes` });
+      return;
+    }
+    try {
+      const data = await readBody(req, UPLOADS.maxSize).catch(() => {
+        throw new attachments.UploadError('Payload too large', 413);
+      });
+      const { userId } = identity;
+      const name = url.searchParams.get('name');
+      const type = req.headers['content-type'];
+      const attachment = await uploads.save(data, { name, type, userId });
+      console.log(`Uploaded ${attachment.id} (${attachment.type})`);
+      sendJson(res, 201, attachment);
+    } catch (error) {
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  },
+
+  'GET /api/uploads/:id': serveUpload,
+  'HEAD /api/uploads/:id': serveUpload,
+
+  'GET /api/metrics': (req, res) => {
+    sendJson(res, 200, {
+      connections: connections.size,
+      uptime: Math.round(process.uptime()),
+      heartbeat: heartbeat.stats(),
+      pushSubscriptions: subscriptions.size,
+      attachments: uploads.size,
+    });
+  },
+
+  'GET /api/messages': async (req, res, url) => {
+    const identity = await authorize(req);
+    if (!identity && AUTH.required) {
+      sendJson(res, 401, { error: 'Authentication required' });
+      return;
+    }
+    const { searchParams } = url;
+    const room = searchParams.get('room') || DEFAULT_ROOM;
+    const before = searchParams.get('before');
+    const limit = searchParams.get('limit');
+    if (!isRoomName(room)) {
+      sendJson(res, 400, { error: `Invalid room name: ${room}` });
+      return;
+    }
+    // Without AUTH_REQUIRED anyone may read a room, as anyone may join one
+    if (AUTH.required && !isMember(identity.userId, room)) {
+      sendJson(res, 403, { error: `Not a member of room: ${room}` });
+      return;
+    }
+    try {
+      sendJson(res, 200, readHistory({ room, before, limit }));
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  },
+};
+
+// `/api/uploads/<id>` also matches the `/api/uploads/:id` route
+const findRoute = (method, pathname) => {
+  const exact = routes[`${method} ${pathname}`];
+  if (exact) return { route: exact, params: {} };
+  const slash = pathname.lastIndexOf('/');
+  const route = routes[`${method} ${pathname.substring(0, slash)}/:id`];
+  if (!route) return null;
+  return { route, params: { id: pathname.substring(slash + 1) } };
+};
+
+const handleRequest = async (req, res) => {
   const url = new URL(req.url, `http${USE_HTTPS ? 's' : ''}://${req.headers.host}`);
 
   // Remove /Application/static prefix if present
@@ -72,17 +592,40 @@ const requestHandler = async (req, res) => {
     pathname = pathname.substring(prefix.length) || '/';
   }
 
+  const match = findRoute(req.method, pathname);
+  if (match) {
+    await match.route(req, res, url, match.params);
+    console.log(`${req.method} ${req.url} ${res.statusCode}`);
+    return;
+  }
+
   const file = await prepareFile(pathname);
-  const statusCode = file.found ? 200 : 404;
   const mimeType = MIME_TYPES[file.ext] || MIME_TYPES.default;
 
   const headers = { ...HEADERS, 'Content-Type': mimeType };
   if (file.ext === 'html') Object.assign(headers, HEADERS_HTML);
 
-  res.writeHead(statusCode, headers);
-  file.stream.pipe(res);
+  if (file.found) {
+    await serveFile(req, res, file, headers);
+  } else {
+    res.writeHead(404, headers);
+    file.stream.pipe(res);
+  }
+
+  console.log(`${req.method} ${req.url} ${res.statusCode}`);
+};
 
-  console.log(`${req.method} ${req.url} ${statusCode}`);
+const requestHandler = async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (error) {
+    console.error(`${req.method} ${req.url} failed:`, error);
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    sendJson(res, 500, { error: 'Internal server error' });
+  }
 };
 
 // Create server (HTTP or HTTPS based on certificate availability)
@@ -104,15 +647,33 @@ if (USE_HTTPS) {
   console.log('Run ./generate-ssl.sh to create SSL certificates\n');
 }
 
-const wss = new WebSocketServer({ server });
+const handleProtocols = (protocols) =>
+  protocols.has(auth.AUTH_PROTOCOL) ? auth.AUTH_PROTOCOL : false;
+
+const wss = new WebSocketServer({
+  server,
+  handleProtocols,
+  maxPayload: BODY_LIMIT,
+});
 
 wss.on('error', (error) => {
   console.error('WebSocket Server error:', error);
 });
 
-const broadcast = (data, excludeClientId = '') => {
-  const message = JSON.stringify(data);
-  for (const [clientId, connection] of connections) {
+const send = (ws, data) => {
+  if (ws.readyState === 1) ws.send(protocol.encode(data, 'server'));
+};
+
+const sendError = (ws, code, error, details = {}) => {
+  send(ws, { type: 'error', code, error, ...details });
+};
+
+const broadcast = (data, excludeClientId = '', room = null) => {
+  const message = protocol.encode(data, 'server');
+  const recipients = room ? rooms.members(room) : [...connections.keys()];
+  for (const clientId of recipients) {
+    const connection = connections.get(clientId);
+    if (!connection) continue;
     if (clientId !== excludeClientId && connection.ws.readyState === 1) {
       try {
         connection.ws.send(message);
@@ -124,56 +685,253 @@ const broadcast = (data, excludeClientId = '') => {
   }
 };
 
-wss.on('connection', (ws, req) => {
+const presence = new Presence({
+  onExpire: (userId, room) => {
+    broadcast({ type: 'stoppedTyping', userId, room }, '', room);
+  },
+});
+
+const stopTyping = ({ clientId, userId }, room) => {
+  if (!presence.stopTyping(userId, room)) return;
+  broadcast({ type: 'stoppedTyping', userId, room }, clientId, room);
+};
+
+const sendToUsers = (userIds, data, excludeClientId = '') => {
+  const users = new Set(userIds);
+  for (const [clientId, connection] of connections) {
+    if (clientId === excludeClientId || !users.has(connection.userId)) continue;
+    send(connection.ws, data);
+  }
+};
+
+// A user id, or the client id of one of the user's connections. Users who
+// are offline are known while they have a push subscription.
+const resolveUser = (id) => {
+  if (isOnline(id)) return id;
+  const connection = connections.get(id);
+  if (connection) return connection.userId;
+  return subscriptions.forUser(id).length > 0 ? id : null;
+};
+
+// Users with an open socket get the frame instead of a notification
+const notifyOffline = (entry) => {
+  const isRecipient = (userId) =>
+    userId !== entry.userId && rooms.canRead(entry, userId);
+  const recipients = subscriptions
+    .list()
+    .filter(({ userId }) => isRecipient(userId) && !isOnline(userId));
+  if (recipients.length === 0) return;
+  const { id, room, content, timestamp } = entry;
+  const name = presence.get(entry.userId)?.name || entry.userId;
+  const body = content.slice(0, PUSH.preview);
+  const payload = { type: 'message', title: name, body, id, room, timestamp };
+  push(recipients, payload).catch((error) => {
+    console.error('Push delivery failed:', error);
+  });
+};
+
+const joinRoom = ({ clientId, userId }, room) => {
+  rooms.subscribe(room, userId);
+  if (!rooms.join(room, clientId)) return false;
+  const count = rooms.count(room);
+  const timestamp = new Date().toISOString();
+  const data = { type: 'userJoined', clientId, userId, room, count, timestamp };
+  broadcast(data, clientId, room);
+  return true;
+};
+
+const leaveRoom = ({ clientId, userId }, room, reason = 'leave') => {
+  if (!rooms.leave(room, clientId)) return false;
+  const count = rooms.count(room);
+  const timestamp = new Date().toISOString();
+  const data = { type: 'userLeft', clientId, userId, room, count };
+  broadcast({ ...data, reason, timestamp }, '', room);
+  return true;
+};
+
+const messageHandlers = {
+  ...createChatHandlers({
+    history,
+    conversations,
+    rooms,
+    receipts,
+    acks,
+    uploads,
+    send,
+    broadcast,
+    sendToUsers,
+    resolveUser,
+    readHistory,
+    readConversation,
+    onMessage: (entry, connection) => {
+      if (!entry.to) stopTyping(connection, entry.room);
+      notifyOffline(entry);
+    },
+  }),
+
+  presence: ({ ws, clientId, userId }, { name, status }) => {
+    try {
+      const user = presence.update(userId, { name, status });
+      send(ws, { type: 'presence', ...user });
+      broadcast({ type: 'presence', ...user }, clientId);
+    } catch (error) {
+      sendError(ws, 'invalid_request', error.message);
+    }
+  },
+
+  typing: ({ ws, clientId, userId }, { room = DEFAULT_ROOM }) => {
+    if (!rooms.has(room, clientId)) {
+      sendError(ws, 'not_member', `Not a member of room: ${room}`);
+      return;
+    }
+    if (presence.typing(userId, room) !== 'started') return;
+    const { name } = presence.get(userId);
+    broadcast({ type: 'typing', userId, name, room }, clientId, room);
+  },
+
+  stoppedTyping: (connection, { room = DEFAULT_ROOM }) => {
+    stopTyping(connection, room);
+  },
+
+  join: (connection, { room }) => {
+    const { ws } = connection;
+    joinRoom(connection, room);
+    const members = rooms.members(room);
+    const recentMessages = history.recent(RECENT_MESSAGES, inRoom(room));
+    send(ws, { type: 'joined', room, members, recentMessages });
+  },
+
+  leave: (connection, { room }) => {
+    const { ws } = connection;
+    if (!leaveRoom(connection, room)) {
+      sendError(ws, 'not_member', `Not a member of room: ${room}`);
+      return;
+    }
+    // The user's other connections may still be in the room
+    if (!isMember(connection.userId, room)) {
+      rooms.unsubscribe(room, connection.userId);
+    }
+    send(ws, { type: 'left', room });
+  },
+
+  ping: ({ ws }) => {
+    send(ws, { type: 'pong' });
+  },
+};
+
+const parseFrame = (data) => {
+  if (data.length > FRAME_LIMIT) {
+    const error = `Frame exceeds ${FRAME_LIMIT} bytes`;
+    return { error: { code: 'frame_too_large', error } };
+  }
+  const { frame, error } = protocol.decode(data.toString(), 'client');
+  if (error) return { error };
+  // Sanitizes text and drops fields the protocol does not declare
+  const { value, errors } = validate(MESSAGE_SCHEMAS, frame);
+  if (errors) {
+    const { type: requestType, tempId } = frame;
+    const error = { code: 'invalid_frame', error: errors.join('; ') };
+    return { error: { ...error, errors, requestType, tempId } };
+  }
+  return { message: value };
+};
+
+const rejectSocket = (ws, reason, code = AUTH_FAILED) => {
+  console.log(`WebSocket rejected: ${reason}`);
+  ws.close(code, reason);
+};
+
+const accept = (ws, req, identity, version) => {
   const clientId = randomUUID();
-  console.log(`WebSocket connection ${req.socket.remoteAddress}`);
+  const userId = identity ? identity.userId : clientId;
 
   const connectedAt = new Date();
   const userAgent = req.headers['user-agent'];
-  connections.set(clientId, { ws, connectedAt, userAgent });
+  const limiter = new RateLimiter(RATE_LIMITS);
+  const connection = { ws, clientId, userId, connectedAt, userAgent, limiter };
+  connection.version = version;
+  connections.set(clientId, connection);
+  heartbeat.track(ws, clientId);
+  const online = presence.connect(userId);
 
   const userCount = connections.size;
-  const recentMessages = messages.slice(-10);
-  const data = { type: 'connected', clientId, userCount, recentMessages };
-  ws.send(JSON.stringify(data));
+  const room = DEFAULT_ROOM;
+  const recentMessages = history.recent(RECENT_MESSAGES, inRoom(room));
+  const members = presence.list();
+  const supported = protocol.SUPPORTED_VERSIONS;
+  const data = { type: 'connected', clientId, userId, userCount, room };
+  const negotiated = { protocol: { version, supported } };
+  send(ws, { ...data, members, recentMessages, ...negotiated });
+
+  if (online) {
+    broadcast({ type: 'presence', ...presence.get(userId) }, clientId);
+  }
+
+  // Повідомити кімнату про нового користувача
+  joinRoom(connection, room);
 
-  // Повідомити всіх про нового користувача
-  broadcast({
-    type: 'userJoined',
-    clientId,
-    count: userCount,
-    timestamp: new Date().toISOString(),
-  }, clientId);
+  const total = `(Total: ${connections.size})`;
+  console.log(`Client connected: ${clientId} as ${userId} ${total}`);
 
-  console.log(`Client connected: ${clientId} (Total: ${connections.size})`);
+  // A handler that throws answers its own frame, the process keeps serving
+  const dispatch = (type, message) => {
+    try {
+      messageHandlers[type](connection, message);
+    } catch (error) {
+      console.error(`Failed to handle ${type} from ${clientId}:`, error);
+      const details = { requestType: type, tempId: message.tempId };
+      sendError(ws, 'internal_error', `Failed to handle ${type}`, details);
+    }
+  };
 
   ws.on('message', (data) => {
-    const message = JSON.parse(data.toString());
+    const frame = parseFrame(data);
+    if (frame.error) {
+      console.warn(`Rejected frame from ${clientId}: ${frame.error.error}`);
+      const { code, error, ...details } = frame.error;
+      sendError(ws, code, error, details);
+      return;
+    }
+    const { message } = frame;
     console.log(`Received from ${clientId}:`, message);
-    const { type, content } = message;
-    if (type === 'message') {
-      const timestamp = new Date().toISOString();
-      messages.push({ type, content, clientId, timestamp });
-      if (messages.length > MAX_MESSAGES) messages.shift();
-      broadcast(message, clientId);
-    } else if (message.type === 'ping') {
-      ws.send(JSON.stringify({ type: 'pong' }));
+    const { type } = message;
+    if (!Object.hasOwn(messageHandlers, type)) {
+      const details = { requestType: type };
+      sendError(ws, 'invalid_frame', `Unexpected ${type} frame`, details);
+      return;
+    }
+    if (!limiter.take(type)) {
+      const retryAfter = limiter.retryAfter(type);
+      const details = { requestType: type, tempId: message.tempId, retryAfter };
+      sendError(ws, 'rate_limited', `Too many ${type} frames`, details);
+      return;
     }
+    dispatch(type, message);
   });
 
   ws.on('close', () => {
     console.log(`WebSocket connection closed: ${clientId}`);
     connections.delete(clientId);
+    heartbeat.untrack(ws);
+
+    // Повідомити кімнати про відключення користувача
+    const reason = connection.reason || 'disconnect';
+    for (const room of [...rooms.roomsOf(clientId)]) {
+      leaveRoom(connection, room, reason);
+    }
+
+    const user = presence.get(userId);
+    const { offline, rooms: typingRooms } = presence.disconnect(userId);
+    for (const room of typingRooms) {
+      broadcast({ type: 'stoppedTyping', userId, room }, '', room);
+    }
+    if (offline) broadcast({ type: 'presence', ...user, status: 'offline' });
+    // Only users with a push subscription are notified about their rooms
+    if (!isOnline(userId) && subscriptions.forUser(userId).length === 0) {
+      rooms.unsubscribeAll(userId);
+    }
+
     const count = connections.size;
-    
-    // Повідомити всіх про відключення користувача
-    broadcast({
-      type: 'userLeft',
-      clientId,
-      count,
-      timestamp: new Date().toISOString(),
-    });
-    
     console.log(`Client disconnected: ${clientId} (Total: ${count})`);
   });
 
@@ -183,16 +941,85 @@ wss.on('connection', (ws, req) => {
     const count = connections.size;
     broadcast({ type: 'userCount', count }, clientId);
   });
+};
+
+const authenticate = async (ws, token) => {
+  const identity = await verifier.verify(token).catch((error) => {
+    console.error('Token verification failed:', error);
+    return null;
+  });
+  if (!identity) rejectSocket(ws, 'Authentication failed');
+  return identity;
+};
+
+wss.on('connection', async (ws, req) => {
+  console.log(`WebSocket connection ${req.socket.remoteAddress}`);
+
+  const protocols = auth.parseProtocols(req.headers['sec-websocket-protocol']);
+  const offered = protocol.versionsFromProtocols(protocols);
+  const version = protocol.negotiate(offered);
+  if (version === null) {
+    const supported = protocol.SUPPORTED_VERSIONS;
+    const error = `No supported protocol version in: ${offered.join(', ')}`;
+    sendError(ws, 'unsupported_version', error, { supported });
+    const reason = 'Unsupported protocol version';
+    rejectSocket(ws, reason, protocol.UNSUPPORTED_VERSION);
+    return;
+  }
+
+  // Hold frames sent before the handshake completes
+  const pending = [];
+  const hold = (data) => pending.push(data);
+  ws.on('message', hold);
+  const release = (identity) => {
+    ws.off('message', hold);
+    if (ws.readyState !== 1) return;
+    accept(ws, req, identity, version);
+    for (const data of pending) ws.emit('message', data);
+  };
+
+  const token = auth.tokenFromProtocols(protocols);
+  if (token) {
+    const identity = await authenticate(ws, token);
+    if (identity) release(identity);
+    return;
+  }
+
+  if (!AUTH.required) {
+    release(null);
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    rejectSocket(ws, 'Authentication timeout');
+  }, AUTH.timeout);
+  ws.off('message', hold);
+  ws.once('message', async (data) => {
+    clearTimeout(timer);
+    ws.on('message', hold);
+    const { frame } = protocol.decode(data.toString(), 'client');
+    if (frame?.type !== 'auth') {
+      rejectSocket(ws, 'Authentication required');
+      return;
+    }
+    const identity = await authenticate(ws, frame.token);
+    if (identity) release(identity);
+  });
 });
 
 process.on('SIGINT', () => {
   console.log('\nShutting down server...');
+  heartbeat.stop();
+  presence.stop();
   for (const connection of connections.values()) {
     connection.ws.close();
   }
   connections.clear();
   wss.close(() => {
-    server.close(() => {
+    server.close(async () => {
+      // Only stores that write files have anything to flush
+      await history.close?.();
+      await conversations.close();
       console.log('Server closed');
       process.exit(0);
     });
@@ -200,14 +1027,14 @@ process.on('SIGINT', () => {
 });
 
 const port = USE_HTTPS ? HTTPS_PORT : PORT;
-const protocol = USE_HTTPS ? 'https' : 'http';
+const scheme = USE_HTTPS ? 'https' : 'http';
 
-server.listen(port, () => {
+const onListen = () => {
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`  PWA Server (${serverType})`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`\n  🚀 Server running at: ${protocol}://localhost:${port}/`);
-  console.log(`  📱 Local access:      ${protocol}://127.0.0.1:${port}/`);
+  console.log(`\n  🚀 Server running at: ${scheme}://localhost:${port}/`);
+  console.log(`  📱 Local access:      ${scheme}://127.0.0.1:${port}/`);
 
   if (USE_HTTPS) {
     console.log('\n  ✅ HTTPS enabled - Safari PWA features available');
@@ -218,7 +1045,25 @@ server.listen(port, () => {
   }
 
   console.log('\n  📄 Applications:');
-  console.log(`     • Chat App:    ${protocol}://localhost:${port}/Application/static/index.html`);
-  console.log(`     • Example App: ${protocol}://localhost:${port}/Application/static/example.html`);
+  console.log(`     • Chat App:    ${scheme}://localhost:${port}/Application/static/index.html`);
+  console.log(`     • Example App: ${scheme}://localhost:${port}/Application/static/example.html`);
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+};
+
+const start = async () => {
+  await loadProtocol();
+  const count = await history.load();
+  console.log(`History: loaded ${count} messages (${HISTORY.type})`);
+  const direct = await conversations.load();
+  console.log(`Conversations: loaded ${direct} direct messages`);
+  const stored = await uploads.load();
+  console.log(`Attachments: ${stored} in ${UPLOADS.dir}`);
+  server.listen(port, onListen);
+  heartbeat.start();
+  presence.start();
+};
+
+start().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
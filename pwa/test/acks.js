@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AckCache } = require('../lib/acks.js');
+
+const ack = (tempId, id) => ({ type: 'ack', tempId, id });
+
+test('AckCache: replays acks per user', () => {
+  const acks = new AckCache();
+  acks.remember('alice', ack('t1', 'm1'));
+  assert.deepEqual(acks.get('alice', 't1'), ack('t1', 'm1'));
+  assert.equal(acks.get('eve', 't1'), null);
+  assert.equal(acks.get('alice', 't2'), null);
+  assert.equal(acks.get('alice', undefined), null);
+
+  acks.remember('eve', ack('t1', 'm2'));
+  assert.equal(acks.get('alice', 't1').id, 'm1');
+  assert.equal(acks.get('eve', 't1').id, 'm2');
+});
+
+test('AckCache: ids with separators do not collide', () => {
+  const acks = new AckCache();
+  acks.remember('a:b', ack('c', 'm1'));
+  assert.equal(acks.get('a', 'b:c'), null);
+});
+
+test('AckCache: evicts the oldest and skips acks without tempId', () => {
+  const acks = new AckCache(2);
+  acks.remember('alice', ack(undefined, 'm0'));
+  for (let i = 1; i <= 3; i++) acks.remember('alice', ack(`t${i}`, `m${i}`));
+  assert.equal(acks.size, 2);
+  assert.equal(acks.get('alice', 't1'), null);
+  assert.equal(acks.get('alice', 't3').id, 'm3');
+});
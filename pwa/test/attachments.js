@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  AttachmentStore,
+  fitSize,
+  imageSize,
+  sniffType,
+} = require('../lib/attachments.js');
+
+const png = (width, height) => {
+  const data = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+  data.write('IHDR', 12, 'ascii');
+  data.writeUInt32BE(width, 16);
+  data.writeUInt32BE(height, 20);
+  return data;
+};
+
+// SOI, an APP0 segment, then SOF0 with the dimensions
+const jpeg = (width, height) => {
+  const data = Buffer.alloc(30);
+  Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0, 0]).copy(data);
+  Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08]).copy(data, 8);
+  data.writeUInt16BE(height, 13);
+  data.writeUInt16BE(width, 15);
+  return data;
+};
+
+const gif = (width, height) => {
+  const data = Buffer.alloc(13);
+  data.write('GIF89a', 0, 'ascii');
+  data.writeUInt16LE(width, 6);
+  data.writeUInt16LE(height, 8);
+  return data;
+};
+
+const webp = (width, height) => {
+  const data = Buffer.alloc(30);
+  data.write('RIFF', 0, 'ascii');
+  data.write('WEBPVP8X', 8, 'ascii');
+  data.writeUIntLE(width - 1, 24, 3);
+  data.writeUIntLE(height - 1, 27, 3);
+  return data;
+};
+
+const tmpDir = () =>
+  fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+
+test('sniffType: detects content by its bytes', () => {
+  assert.equal(sniffType(png(1, 1)), 'image/png');
+  assert.equal(sniffType(jpeg(1, 1)), 'image/jpeg');
+  assert.equal(sniffType(gif(1, 1)), 'image/gif');
+  assert.equal(sniffType(webp(1, 1)), 'image/webp');
+  assert.equal(sniffType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+  assert.equal(sniffType(Buffer.from('héllo\r\n\tworld')), 'text/plain');
+  assert.equal(sniffType(Buffer.from('page\fbreak')), 'text/plain');
+  assert.equal(sniffType(Buffer.from('vertical\vtab')), null);
+  assert.equal(sniffType(Buffer.from('del\x7f')), null);
+  assert.equal(sniffType(Buffer.from([0x00, 0x01, 0x02])), null);
+  assert.equal(sniffType(Buffer.from([0xc3, 0x28])), null);
+  assert.equal(sniffType(Buffer.alloc(0)), null);
+});
+
+test('imageSize: reads dimensions from image headers', () => {
+  const size = { width: 640, height: 480 };
+  assert.deepEqual(imageSize(png(640, 480), 'image/png'), size);
+  assert.deepEqual(imageSize(jpeg(640, 480), 'image/jpeg'), size);
+  assert.deepEqual(imageSize(gif(640, 480), 'image/gif'), size);
+  assert.deepEqual(imageSize(webp(640, 480), 'image/webp'), size);
+  assert.equal(imageSize(png(1, 1).subarray(0, 20), 'image/png'), null);
+  assert.equal(imageSize(Buffer.from('%PDF-'), 'application/pdf'), null);
+});
+
+test('fitSize: fits the box without upscaling', () => {
+  const landscape = { width: 1600, height: 900 };
+  assert.deepEqual(fitSize(landscape, 320), { width: 320, height: 180 });
+  const portrait = { width: 300, height: 1200 };
+  assert.deepEqual(fitSize(portrait, 320), { width: 80, height: 320 });
+  const small = { width: 16, height: 16 };
+  assert.deepEqual(fitSize(small, 320), small);
+});
+
+test('AttachmentStore: stores files with metadata and reloads', async () => {
+  const dir = await tmpDir();
+  const store = new AttachmentStore(dir, { previewBox: 100 });
+  await store.load();
+  const options = { name: '../photo.png', type: 'image/png', userId: 'ann' };
+  const saved = await store.save(png(400, 200), options);
+  assert.equal(saved.name, 'photo.png');
+  assert.equal(saved.type, 'image/png');
+  assert.equal(saved.url, `/api/uploads/${saved.id}`);
+  assert.equal(saved.userId, 'ann');
+  assert.deepEqual(saved.previewSize, { width: 100, height: 50 });
+  assert.deepEqual(fs.readFileSync(store.filePath(saved.id)), png(400, 200));
+
+  const text = await store.save(Buffer.from('notes'), { name: 'a.txt' });
+  assert.equal(text.type, 'text/plain');
+  assert.equal(text.previewSize, undefined);
+
+  const restored = new AttachmentStore(dir);
+  assert.equal(await restored.load(), 2);
+  assert.deepEqual(restored.get(saved.id), saved);
+  assert.equal(restored.get('../secret'), null);
+  assert.equal(restored.get('missing'), null);
+});
+
+test('AttachmentStore: rejects empty, large and mislabelled', async () => {
+  const store = new AttachmentStore(await tmpDir(), { maxSize: 64 });
+  await store.load();
+  await assert.rejects(store.save(Buffer.alloc(0)), { statusCode: 400 });
+  await assert.rejects(store.save(Buffer.alloc(65, 'a')), {
+    name: 'UploadError',
+    statusCode: 413,
+  });
+  await assert.rejects(store.save(Buffer.from([0, 1, 2])), {
+    message: 'Unsupported file type',
+    statusCode: 415,
+  });
+  await assert.rejects(store.save(png(1, 1), { type: 'image/jpeg' }), {
+    message: 'Content is image/png, not image/jpeg',
+    statusCode: 415,
+  });
+  const generic = { type: 'application/octet-stream' };
+  assert.equal((await store.save(png(1, 1), generic)).type, 'image/png');
+  assert.equal(store.size, 1);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth.js');
+
+test('HmacAuth: issues and verifies tokens', async () => {
+  const verifier = new auth.HmacAuth({ secret: 'secret' });
+  const token = verifier.issue('user-1', { name: 'Ann' });
+  const identity = await verifier.verify(token);
+  assert.equal(identity.userId, 'user-1');
+  assert.equal(identity.name, 'Ann');
+});
+
+test('HmacAuth: rejects tampered, foreign and expired tokens', async () => {
+  let time = 0;
+  const verifier = new auth.HmacAuth({ secret: 'a', ttl: 10, now: () => time });
+  const other = new auth.HmacAuth({ secret: 'b' });
+  const token = verifier.issue('user-1');
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from('{"userId":"admin","expiresAt":99}');
+  assert.equal(
+    await verifier.verify(`${forged.toString('base64url')}.${signature}`),
+    null,
+  );
+  assert.equal(await verifier.verify(other.issue('user-1')), null);
+  assert.equal(await verifier.verify(`${payload}.`), null);
+  assert.equal(await verifier.verify(null), null);
+  time = 10;
+  assert.equal(await verifier.verify(token), null);
+});
+
+test('HmacAuth: renews valid tokens for the same user', async () => {
+  let time = 0;
+  const verifier = new auth.HmacAuth({ secret: 'a', ttl: 10, now: () => time });
+  const token = verifier.issue('user-1', { name: 'Ann' });
+  time = 5;
+  const renewed = await verifier.renew(token);
+  time = 12;
+  assert.equal(await verifier.verify(token), null);
+  const identity = await verifier.verify(renewed);
+  assert.equal(identity.userId, 'user-1');
+  assert.equal(identity.name, 'Ann');
+  assert.equal(identity.expiresAt, 15);
+  assert.equal(await verifier.renew(token), null);
+  assert.equal(await verifier.renew('forged.token'), null);
+});
+
+test('HmacAuth: refuses invalid user ids', () => {
+  const verifier = new auth.HmacAuth();
+  assert.throws(() => verifier.issue('bad id'));
+});
+
+test('tokenFromProtocols: extracts token', () => {
+  const protocols = auth.parseProtocols('chat, auth.abc.def');
+  assert.deepEqual(protocols, ['chat', 'auth.abc.def']);
+  assert.equal(auth.tokenFromProtocols(protocols), 'abc.def');
+  assert.equal(auth.tokenFromProtocols(['chat']), null);
+});
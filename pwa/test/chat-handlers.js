@@ -0,0 +1,208 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatHandlers } = require('../lib/chat-handlers.js');
+const { MemoryHistoryStore } = require('../lib/history-store.js');
+const { ConversationStore } = require('../lib/conversations.js');
+const { RoomRegistry } = require('../lib/rooms.js');
+const { ReceiptTracker } = require('../lib/receipts.js');
+const { AckCache } = require('../lib/acks.js');
+
+// Connections with sockets that keep the frames they were sent
+const createChat = () => {
+  const connections = new Map();
+  const history = new MemoryHistoryStore();
+  const conversations = new ConversationStore({ type: 'memory' });
+  const rooms = new RoomRegistry();
+  const send = (ws, data) => ws.frames.push(data);
+  const sendTo = (clientIds, data, excludeClientId) => {
+    for (const clientId of clientIds) {
+      if (clientId === excludeClientId) continue;
+      send(connections.get(clientId).ws, data);
+    }
+  };
+  const handlers = createChatHandlers({
+    history,
+    conversations,
+    rooms,
+    receipts: new ReceiptTracker(),
+    acks: new AckCache(),
+    uploads: { get: () => null },
+    send,
+    broadcast: (data, excludeClientId, room) => {
+      sendTo(rooms.members(room), data, excludeClientId);
+    },
+    sendToUsers: (userIds, data, excludeClientId) => {
+      const clientIds = [...connections.values()]
+        .filter(({ userId }) => userIds.includes(userId))
+        .map(({ clientId }) => clientId);
+      sendTo(clientIds, data, excludeClientId);
+    },
+    // A user id, or the client id of one of the user's connections
+    resolveUser: (id) => {
+      const users = [...connections.values()].map(({ userId }) => userId);
+      if (users.includes(id)) return id;
+      return connections.get(id)?.userId || null;
+    },
+    readHistory: ({ room }) => ({ room, ...history.page() }),
+    readConversation: (userId, peer, { before, limit = 20 }) => {
+      const page = conversations.page(userId, peer, { before, limit });
+      return { peer, ...page };
+    },
+    onMessage: () => {},
+  });
+  const connect = (clientId, userId, room = 'general') => {
+    const connection = { ws: { frames: [] }, clientId, userId };
+    connections.set(clientId, connection);
+    if (room) rooms.join(room, clientId);
+    return connection;
+  };
+  // Runs a frame and returns what each connection received
+  const handle = (connection, frame) => {
+    for (const { ws } of connections.values()) ws.frames = [];
+    handlers[frame.type](connection, frame);
+    const received = {};
+    for (const [clientId, { ws }] of connections) {
+      received[clientId] = ws.frames;
+    }
+    return received;
+  };
+  return { history, conversations, handle, connect };
+};
+
+const post = (chat, connection, content = 'hello', to = undefined) => {
+  const frame = { type: 'message', content, to, tempId: content };
+  const [ack] = chat.handle(connection, frame)[connection.clientId];
+  return ack.id;
+};
+
+test('chat: edits and deletes reach the room, sender included', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  chat.connect('b1', 'bob');
+  chat.connect('c1', 'cat', 'other');
+  const id = post(chat, ann);
+
+  const edited = chat.handle(ann, { type: 'edit', id, content: 'changed' });
+  assert.equal(edited.a1[0].type, 'edit');
+  assert.deepEqual(edited.b1, edited.a1);
+  assert.equal(edited.b1[0].content, 'changed');
+  assert.deepEqual(edited.c1, []);
+  assert.equal(chat.history.find(id).content, 'changed');
+
+  const deleted = chat.handle(ann, { type: 'delete', id });
+  assert.equal(deleted.b1[0].type, 'delete');
+  assert.equal(chat.history.find(id).deleted, true);
+  const again = chat.handle(ann, { type: 'edit', id, content: 'undo' });
+  assert.equal(again.a1[0].code, 'not_found');
+});
+
+test('chat: only the author edits or deletes a message', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  const bob = chat.connect('b1', 'bob');
+  const id = post(chat, ann, 'original');
+
+  for (const frame of [
+    { type: 'edit', id, content: 'mine now' },
+    { type: 'delete', id },
+  ]) {
+    const received = chat.handle(bob, frame);
+    assert.deepEqual(received.a1, []);
+    assert.equal(received.b1[0].code, 'forbidden');
+  }
+  const entry = chat.history.find(id);
+  assert.equal(entry.content, 'original');
+  assert.equal(entry.deleted, undefined);
+});
+
+test('chat: reactions are shared and outsiders get errors', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  const bob = chat.connect('b1', 'bob');
+  const cat = chat.connect('c1', 'cat', 'other');
+  const id = post(chat, ann);
+
+  const reacted = chat.handle(bob, { type: 'react', id, emoji: '👍' });
+  assert.deepEqual(reacted.a1[0].reactions, { '👍': ['bob'] });
+  assert.deepEqual(reacted.b1, reacted.a1);
+  assert.deepEqual(reacted.c1, []);
+
+  const outsider = chat.handle(cat, { type: 'react', id, emoji: '👍' });
+  assert.equal(outsider.c1[0].code, 'not_member');
+  assert.deepEqual(outsider.a1, []);
+});
+
+test('chat: direct messages reach only both users', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  chat.connect('a2', 'ann');
+  chat.connect('b1', 'bob');
+  chat.connect('b2', 'bob', null);
+  chat.connect('c1', 'cat');
+
+  const frame = { type: 'message', content: 'psst', to: 'b2', tempId: 't' };
+  const received = chat.handle(ann, frame);
+  const [ack] = received.a1;
+  assert.equal(ack.type, 'ack');
+  assert.equal(ack.to, 'bob');
+  for (const clientId of ['a2', 'b1', 'b2']) {
+    assert.equal(received[clientId][0].content, 'psst');
+    assert.equal(received[clientId][0].to, 'bob');
+  }
+  assert.equal(received.a1.length, 1);
+  assert.deepEqual(received.c1, []);
+  assert.equal(chat.history.size, 0);
+  assert.equal(chat.conversations.find(ack.id).content, 'psst');
+});
+
+test('chat: unknown recipients are rejected with the tempId', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  const frame = { type: 'message', content: 'hi', to: 'nobody', tempId: 't' };
+  const [error] = chat.handle(ann, frame).a1;
+  assert.equal(error.code, 'not_found');
+  assert.equal(error.tempId, 't');
+  assert.equal(error.to, 'nobody');
+  assert.equal(chat.conversations.size, 0);
+});
+
+test('chat: history by peer pages the conversation of two users', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  const bob = chat.connect('b1', 'bob');
+  const cat = chat.connect('c1', 'cat');
+  post(chat, ann, 'room');
+  post(chat, ann, 'to bob', 'bob');
+  post(chat, bob, 'to ann', 'ann');
+  post(chat, cat, 'to ann too', 'ann');
+
+  const [page] = chat.handle(bob, { type: 'history', peer: 'ann' }).b1;
+  assert.equal(page.peer, 'ann');
+  const contents = page.messages.map(({ content }) => content);
+  assert.deepEqual(contents, ['to bob', 'to ann']);
+  const [other] = chat.handle(cat, { type: 'history', peer: 'bob' }).c1;
+  assert.deepEqual(other.messages, []);
+});
+
+test('chat: receipts and changes hide direct messages of others', () => {
+  const chat = createChat();
+  const ann = chat.connect('a1', 'ann');
+  const bob = chat.connect('b1', 'bob');
+  const cat = chat.connect('c1', 'cat');
+  const id = post(chat, ann, 'secret', 'bob');
+
+  for (const frame of [
+    { type: 'receipt', id, status: 'read' },
+    { type: 'react', id, emoji: '👀' },
+  ]) {
+    const received = chat.handle(cat, frame);
+    assert.equal(received.c1[0].code, 'not_found');
+    assert.deepEqual(received.a1, []);
+  }
+  const read = chat.handle(bob, { type: 'receipt', id, status: 'read' });
+  assert.equal(read.a1[0].type, 'receipt');
+  assert.equal(read.a1[0].userId, 'bob');
+  assert.equal(read.a1[0].clientId, undefined);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const compression = require('../lib/compression.js');
+
+test('negotiate: prefers brotli and honours q-values', () => {
+  const { negotiate } = compression;
+  assert.equal(negotiate('gzip, deflate, br'), 'br');
+  assert.equal(negotiate('gzip'), 'gzip');
+  assert.equal(negotiate('br;q=0.5, gzip;q=0.8'), 'gzip');
+  assert.equal(negotiate('br;q=0, *'), 'gzip');
+  assert.equal(negotiate('identity'), null);
+  assert.equal(negotiate(undefined), null);
+  assert.equal(negotiate('gzip, br', ['gzip']), 'gzip');
+});
+
+test('parseAcceptEncoding: weights per coding', () => {
+  const weights = compression.parseAcceptEncoding(
+    'GZIP;q=0.3, br ; q=1, x;q=y',
+  );
+  assert.deepEqual(Object.fromEntries(weights), { gzip: 0.3, br: 1, x: 0 });
+});
+
+test('CompressionCache: compresses once and evicts by size', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compression-'));
+  const filePath = path.join(dir, 'a.txt');
+  const text = 'hello '.repeat(1000);
+  fs.writeFileSync(filePath, text);
+  try {
+    const cache = new compression.CompressionCache({ maxBytes: 60 });
+    const [br, again] = await Promise.all([
+      cache.get(filePath, '"a"', 'br'),
+      cache.get(filePath, '"a"', 'br'),
+    ]);
+    assert.equal(br, again);
+    assert.equal(zlib.brotliDecompressSync(br).toString(), text);
+    assert.equal(cache.bytes, br.length);
+    assert.equal(await cache.get(filePath, '"a"', 'br'), br);
+
+    const gzip = await cache.get(filePath, '"a"', 'gzip');
+    assert.equal(zlib.gunzipSync(gzip).toString(), text);
+    assert.equal(cache.bytes, gzip.length);
+    assert.notEqual(await cache.get(filePath, '"a"', 'br'), br);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ConversationStore } = require('../lib/conversations.js');
+
+let sequence = 0;
+
+const direct = (userId, to, content) => ({
+  id: `m${++sequence}`,
+  type: 'message',
+  content,
+  userId,
+  to,
+  timestamp: new Date(Date.now() + sequence).toISOString(),
+});
+
+const contentsOf = ({ messages }) => messages.map(({ content }) => content);
+
+test('ConversationStore: keeps each pair within its own limit', async () => {
+  const store = new ConversationStore({ type: 'memory', maxCount: 2 });
+  await store.append(direct('ann', 'bob', 'hi bob'));
+  for (let i = 1; i <= 3; i++) {
+    await store.append(direct('cat', 'dan', `busy ${i}`));
+  }
+  await store.append(direct('bob', 'ann', 'hi ann'));
+
+  const page = store.page('bob', 'ann', { limit: 10 });
+  assert.deepEqual(contentsOf(page), ['hi bob', 'hi ann']);
+  assert.deepEqual(contentsOf(store.page('dan', 'cat', { limit: 10 })), [
+    'busy 2',
+    'busy 3',
+  ]);
+  assert.deepEqual(store.page('ann', 'cat', { limit: 10 }).messages, []);
+  assert.equal(store.size, 4);
+});
+
+test('ConversationStore: finds and updates messages of any pair', async () => {
+  const store = new ConversationStore({ type: 'memory' });
+  const message = await store.append(direct('ann', 'bob', 'draft'));
+  await store.append(direct('cat', 'dan', 'other'));
+  assert.equal(store.find(message.id).content, 'draft');
+  await store.update(message.id, { content: 'final' });
+  assert.equal(store.find(message.id).content, 'final');
+  assert.equal(store.find('missing'), null);
+  assert.equal(await store.update('missing', { content: 'x' }), null);
+  const drafts = store.filter(({ userId }) => userId === 'cat');
+  assert.deepEqual(contentsOf({ messages: drafts }), ['other']);
+});
+
+test('ConversationStore: file stores reload every pair', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dm-'));
+  const store = new ConversationStore({ dir });
+  await store.load();
+  await store.append(direct('ann', 'bob', 'one'));
+  const edited = await store.append(direct('bob', 'ann', 'two'));
+  await store.append(direct('cat', 'ann', 'three'));
+  await store.update(edited.id, { content: 'two!' });
+  await store.close();
+  assert.equal((await fs.promises.readdir(dir)).length, 2);
+
+  const restored = new ConversationStore({ dir });
+  assert.equal(await restored.load(), 3);
+  const page = restored.page('ann', 'bob', { limit: 10 });
+  assert.deepEqual(contentsOf(page), ['one', 'two!']);
+  assert.deepEqual(contentsOf(restored.page('ann', 'cat', { limit: 10 })), [
+    'three',
+  ]);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { Heartbeat } = require('../lib/heartbeat.js');
+
+class FakeSocket extends EventEmitter {
+  pings = 0;
+  terminated = false;
+
+  ping() {
+    this.pings++;
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('Heartbeat: pings live sockets and reaps silent ones', () => {
+  let time = 0;
+  const reaped = [];
+  const heartbeat = new Heartbeat({
+    interval: 10,
+    timeout: 25,
+    now: () => time,
+    onReap: (id) => reaped.push(id),
+  });
+  const live = new FakeSocket();
+  const silent = new FakeSocket();
+  heartbeat.track(live, 'live');
+  heartbeat.track(silent, 'silent');
+
+  for (time = 10; time <= 30; time += 10) {
+    heartbeat.sweep();
+    live.emit('pong');
+  }
+
+  assert.deepEqual(reaped, ['silent']);
+  assert.equal(silent.terminated, true);
+  assert.equal(live.terminated, false);
+  assert.equal(live.pings, 3);
+  assert.equal(heartbeat.size, 1);
+  assert.equal(heartbeat.stats().reaped, 1);
+});
+
+test('Heartbeat: untrack removes listeners', () => {
+  const heartbeat = new Heartbeat();
+  const ws = new FakeSocket();
+  heartbeat.track(ws, 'a');
+  assert.equal(heartbeat.untrack(ws), true);
+  assert.equal(ws.listenerCount('pong'), 0);
+  assert.equal(heartbeat.untrack(ws), false);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  MemoryHistoryStore,
+  FileHistoryStore,
+  createHistoryStore,
+} = require('../lib/history-store.js');
+
+const message = (content, time = Date.now()) => ({
+  type: 'message',
+  content,
+  clientId: 'client',
+  timestamp: new Date(time).toISOString(),
+});
+
+const tmpFile = async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  return path.join(dir, 'messages.jsonl');
+};
+
+test('MemoryHistoryStore: retention by count', async () => {
+  const store = new MemoryHistoryStore({ maxCount: 3 });
+  for (let i = 1; i <= 5; i++) await store.append(message(`m${i}`));
+  assert.equal(store.size, 3);
+  const contents = store.recent(2).map((msg) => msg.content);
+  assert.deepEqual(contents, ['m4', 'm5']);
+});
+
+test('MemoryHistoryStore: retention by age', async () => {
+  const now = Date.now();
+  const store = new MemoryHistoryStore({ maxAge: 1000 });
+  await store.append(message('old', now - 5000));
+  await store.append(message('new', now));
+  assert.deepEqual(
+    store.recent(10).map((msg) => msg.content),
+    ['new'],
+  );
+});
+
+test('FileHistoryStore: survives restart', async () => {
+  const filePath = await tmpFile();
+  const first = new FileHistoryStore(filePath, { maxCount: 10 });
+  await first.load();
+  await first.append(message('hello'));
+  await first.append(message('world'));
+  await first.close();
+
+  const second = new FileHistoryStore(filePath, { maxCount: 10 });
+  assert.equal(await second.load(), 2);
+  assert.deepEqual(
+    second.recent(10).map((msg) => msg.content),
+    ['hello', 'world'],
+  );
+});
+
+test('FileHistoryStore: compacts file past retention', async () => {
+  const filePath = await tmpFile();
+  const store = new FileHistoryStore(filePath, { maxCount: 2 });
+  await store.load();
+  for (let i = 1; i <= 6; i++) await store.append(message(`m${i}`));
+  await store.close();
+  const lines = (await fs.promises.readFile(filePath, 'utf8'))
+    .split('\n')
+    .filter(Boolean);
+  assert.equal(lines.length, 2);
+  assert.equal(JSON.parse(lines[1]).content, 'm6');
+});
+
+test('FileHistoryStore: skips corrupted lines', async () => {
+  const filePath = await tmpFile();
+  const valid = JSON.stringify(message('ok'));
+  await fs.promises.writeFile(filePath, `${valid}\n{broken\n`);
+  const store = new FileHistoryStore(filePath);
+  assert.equal(await store.load(), 1);
+});
+
+test('createHistoryStore: selects implementation', () => {
+  const memory = createHistoryStore({ type: 'memory' });
+  assert.ok(memory instanceof MemoryHistoryStore);
+  const file = createHistoryStore({ type: 'file', filePath: 'x.jsonl' });
+  assert.ok(file instanceof FileHistoryStore);
+  assert.throws(() => createHistoryStore({ type: 'redis' }));
+});
+
+test('MemoryHistoryStore: recent with filter', async () => {
+  const store = new MemoryHistoryStore();
+  await store.append({ ...message('a'), room: 'dev' });
+  await store.append({ ...message('b'), room: 'general' });
+  await store.append({ ...message('c'), room: 'dev' });
+  const dev = store.recent(10, (msg) => msg.room === 'dev');
+  assert.deepEqual(
+    dev.map((msg) => msg.content),
+    ['a', 'c'],
+  );
+});
+
+test('MemoryHistoryStore: page by timestamp and id cursor', async () => {
+  const now = Date.now();
+  const store = new MemoryHistoryStore();
+  for (let i = 1; i <= 5; i++) {
+    await store.append({ ...message(`m${i}`, now + i), id: `id${i}` });
+  }
+  const first = store.page({ limit: 2 });
+  assert.deepEqual(
+    first.messages.map((msg) => msg.content),
+    ['m4', 'm5'],
+  );
+  assert.equal(first.hasMore, true);
+  assert.equal(first.cursor, 'id4');
+
+  const second = store.page({ before: first.cursor, limit: 10 });
+  assert.deepEqual(
+    second.messages.map((msg) => msg.content),
+    ['m1', 'm2', 'm3'],
+  );
+  assert.equal(second.hasMore, false);
+
+  const byTime = store.page({ before: String(now + 3), limit: 10 });
+  assert.equal(byTime.messages.length, 2);
+  assert.throws(() => store.page({ before: 'not-a-cursor' }));
+});
+
+test('FileHistoryStore: updates replace messages after restart', async () => {
+  const filePath = await tmpFile();
+  const first = new FileHistoryStore(filePath, { maxCount: 10 });
+  await first.load();
+  await first.append({ ...message('draft'), id: 'a' });
+  await first.append({ ...message('other'), id: 'b' });
+  const updated = await first.update('a', { content: 'final' });
+  assert.equal(updated.content, 'final');
+  assert.equal(await first.update('missing', { content: 'x' }), null);
+
+  const second = new FileHistoryStore(filePath, { maxCount: 10 });
+  assert.equal(await second.load(), 2);
+  assert.deepEqual(
+    second.recent(10).map((msg) => msg.content),
+    ['final', 'other'],
+  );
+  await second.close();
+  const lines = (await fs.promises.readFile(filePath, 'utf8'))
+    .split('\n')
+    .filter(Boolean);
+  assert.equal(lines.length, 2);
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const httpCache = require('../lib/http-cache.js');
+
+const lastModified = new Date('2026-01-01T10:00:00.500Z');
+const file = { etag: '"abc"', lastModified };
+
+test('isNotModified: If-None-Match takes precedence', () => {
+  const { isNotModified } = httpCache;
+  assert.equal(isNotModified({ 'if-none-match': '"abc"' }, file), true);
+  assert.equal(isNotModified({ 'if-none-match': '"x", W/"abc"' }, file), true);
+  assert.equal(isNotModified({ 'if-none-match': '*' }, file), true);
+  const stale = {
+    'if-none-match': '"old"',
+    'if-modified-since': lastModified.toUTCString(),
+  };
+  assert.equal(isNotModified(stale, file), false);
+});
+
+test('isNotModified: If-Modified-Since at second precision', () => {
+  const { isNotModified } = httpCache;
+  const since = (date) => ({ 'if-modified-since': date });
+  assert.equal(isNotModified(since(lastModified.toUTCString()), file), true);
+  assert.equal(
+    isNotModified(since('Wed, 31 Dec 2025 10:00:00 GMT'), file),
+    false,
+  );
+  assert.equal(isNotModified(since('garbage'), file), false);
+  assert.equal(isNotModified({}, file), false);
+});
+
+test('parseRange: single byte ranges', () => {
+  const { parseRange } = httpCache;
+  assert.equal(parseRange(undefined, 10), null);
+  assert.deepEqual(parseRange('bytes=0-4', 10), { start: 0, end: 4 });
+  assert.deepEqual(parseRange('bytes=5-', 10), { start: 5, end: 9 });
+  assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+  assert.deepEqual(parseRange('bytes=8-100', 10), { start: 8, end: 9 });
+  assert.deepEqual(parseRange('bytes=10-', 10), { unsatisfiable: true });
+  assert.deepEqual(parseRange('bytes=5-2', 10), { unsatisfiable: true });
+  assert.equal(parseRange('bytes=0-1,4-5', 10), null);
+  assert.equal(parseRange('items=0-1', 10), null);
+});
+
+test('rangeApplies: honours If-Range validators', () => {
+  const { rangeApplies } = httpCache;
+  assert.equal(rangeApplies({}, file), true);
+  assert.equal(rangeApplies({ 'if-range': '"abc"' }, file), true);
+  assert.equal(rangeApplies({ 'if-range': '"old"' }, file), false);
+  const date = { 'if-range': lastModified.toUTCString() };
+  assert.equal(rangeApplies(date, file), true);
+});
+
+test('ETagCache: hashes contents and tracks changes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etag-'));
+  const filePath = path.join(dir, 'a.txt');
+  const etags = new httpCache.ETagCache();
+  try {
+    fs.writeFileSync(filePath, 'one');
+    const first = await etags.get(filePath, fs.statSync(filePath));
+    assert.match(first, /^"[\w-]+"$/);
+    assert.equal(await etags.get(filePath, fs.statSync(filePath)), first);
+    fs.writeFileSync(filePath, 'two!');
+    const second = await etags.get(filePath, fs.statSync(filePath));
+    assert.notEqual(second, first);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
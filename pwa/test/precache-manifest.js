@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const precache = require('../lib/precache-manifest.js');
+
+const STATIC_PATH = path.join(__dirname, '..', 'Application', 'static');
+
+const createTree = (files) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'precache-'));
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  return root;
+};
+
+test('collectAssets: skips siblings and the manifest', async () => {
+  const root = createTree({
+    'index.html': '<html>',
+    'app.js': 'x',
+    'app.js.br': 'compressed',
+    '.DS_Store': '',
+    'worker/precache-manifest.js': 'old',
+  });
+  try {
+    const assets = await precache.collectAssets(root);
+    const urls = assets.map(({ url }) => url);
+    assert.deepEqual(urls, ['/', '/app.js', '/index.html']);
+    const [alias, , index] = assets;
+    assert.equal(alias.integrity, index.integrity);
+    assert.match(index.integrity, /^sha256-[\w+/]+=*$/);
+    assert.equal(index.size, 6);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('cacheVersion: changes with any asset', () => {
+  const assets = [{ url: '/a.js', integrity: 'sha256-a' }];
+  const version = precache.cacheVersion(assets);
+  assert.match(version, /^precache-[0-9a-f]{12}$/);
+  assert.equal(precache.cacheVersion([...assets]), version);
+  const changed = [{ url: '/a.js', integrity: 'sha256-b' }];
+  assert.notEqual(precache.cacheVersion(changed), version);
+});
+
+test('precache manifest is up to date (run `npm run build`)', async () => {
+  const assets = await precache.collectAssets(STATIC_PATH);
+  const manifestPath = path.join(STATIC_PATH, precache.MANIFEST_FILE);
+  const manifest = fs.readFileSync(manifestPath, 'utf8');
+  assert.equal(manifest, precache.renderModule(assets));
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Presence } = require('../lib/presence.js');
+
+test('Presence: tracks users across connections', () => {
+  const presence = new Presence();
+  assert.equal(presence.connect('ann'), true);
+  assert.equal(presence.connect('ann'), false);
+  presence.update('ann', { name: ' Ann ', status: 'away' });
+  assert.deepEqual(presence.list(), [
+    { userId: 'ann', name: 'Ann', status: 'away' },
+  ]);
+  assert.equal(presence.disconnect('ann').offline, false);
+  assert.equal(presence.disconnect('ann').offline, true);
+  assert.deepEqual(presence.list(), []);
+});
+
+test('Presence: validates updates', () => {
+  const presence = new Presence();
+  presence.connect('ann');
+  assert.throws(() => presence.update('ann', { name: '  ' }));
+  assert.throws(() => presence.update('ann', { status: 'sleeping' }));
+  assert.equal(presence.update('bob', { name: 'Bob' }), null);
+});
+
+test('Presence: typing is throttled and expires', () => {
+  let time = 0;
+  const expired = [];
+  const presence = new Presence({
+    typingTimeout: 100,
+    typingThrottle: 50,
+    now: () => time,
+    onExpire: (userId, room) => expired.push(`${userId}@${room}`),
+  });
+  presence.connect('ann');
+  assert.equal(presence.typing('ann', 'dev'), 'started');
+  time = 10;
+  assert.equal(presence.typing('ann', 'dev'), 'throttled');
+  time = 60;
+  assert.equal(presence.typing('ann', 'dev'), 'refreshed');
+  assert.deepEqual(presence.typingIn('dev'), ['ann']);
+  time = 150;
+  assert.deepEqual(presence.sweep(), []);
+  time = 160;
+  presence.sweep();
+  assert.deepEqual(expired, ['ann@dev']);
+  assert.deepEqual(presence.typingIn('dev'), []);
+});
+
+test('Presence: disconnect clears typing', () => {
+  const presence = new Presence();
+  presence.connect('ann');
+  presence.typing('ann', 'dev');
+  assert.deepEqual(presence.disconnect('ann'), {
+    offline: true,
+    rooms: ['dev'],
+  });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, TokenBucket } = require('../lib/rate-limiter.js');
+
+test('TokenBucket: allows bursts and refills over time', () => {
+  let now = 0;
+  const bucket = new TokenBucket(2, 1, () => now);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+  assert.equal(bucket.retryAfter(), 1000);
+  now = 500;
+  assert.equal(bucket.take(), false);
+  assert.equal(bucket.retryAfter(), 500);
+  now = 1000;
+  assert.equal(bucket.take(), true);
+  now = 60000;
+  assert.equal(bucket.tokens, 0);
+  bucket.take();
+  assert.equal(bucket.tokens, 1);
+});
+
+test('RateLimiter: separate budgets per type with a default', () => {
+  const now = () => 0;
+  const limiter = new RateLimiter(
+    {
+      default: { capacity: 1, perSecond: 1 },
+      message: { capacity: 2, perSecond: 1 },
+    },
+    now,
+  );
+  assert.equal(limiter.take('message'), true);
+  assert.equal(limiter.take('message'), true);
+  assert.equal(limiter.take('message'), false);
+  assert.equal(limiter.take('typing'), true);
+  assert.equal(limiter.take('join'), false);
+  assert.equal(limiter.retryAfter('join'), 1000);
+});
+
+test('RateLimiter: unlimited without budgets', () => {
+  const limiter = new RateLimiter({});
+  for (let i = 0; i < 100; i++) assert.equal(limiter.take('message'), true);
+  assert.equal(limiter.retryAfter('message'), 0);
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyReaction } = require('../lib/reactions.js');
+
+test('applyReaction: adds and removes users per emoji', () => {
+  const liked = applyReaction(null, { emoji: '👍', userId: 'ann' });
+  assert.deepEqual(liked, { '👍': ['ann'] });
+  const both = applyReaction(liked, { emoji: '👍', userId: 'bob' });
+  assert.deepEqual(both, { '👍': ['ann', 'bob'] });
+  assert.deepEqual(liked, { '👍': ['ann'] });
+  assert.equal(applyReaction(both, { emoji: '👍', userId: 'bob' }), null);
+
+  const remove = { emoji: '👍', userId: 'ann', action: 'remove' };
+  assert.deepEqual(applyReaction(both, remove), { '👍': ['bob'] });
+  assert.deepEqual(applyReaction(liked, remove), {});
+  assert.equal(applyReaction({}, remove), null);
+});
+
+test('applyReaction: limits distinct emoji', () => {
+  const reactions = { a: ['ann'], b: ['ann'] };
+  assert.throws(() => applyReaction(reactions, { emoji: 'c' }, 2), {
+    name: 'ReactionError',
+  });
+  const more = applyReaction(reactions, { emoji: 'a', userId: 'bob' }, 2);
+  assert.deepEqual(more.a, ['ann', 'bob']);
+  const proto = applyReaction({}, { emoji: '__proto__', userId: 'ann' });
+  assert.deepEqual(Object.keys(proto), ['__proto__']);
+});
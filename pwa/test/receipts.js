@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReceiptTracker, isReceiptStatus } = require('../lib/receipts.js');
+
+test('ReceiptTracker: records progress per recipient', () => {
+  const receipts = new ReceiptTracker();
+  assert.equal(receipts.record('m1', 'b', 'delivered'), true);
+  assert.equal(receipts.record('m1', 'b', 'delivered'), false);
+  assert.equal(receipts.record('m1', 'b', 'read'), true);
+  assert.equal(receipts.record('m1', 'b', 'delivered'), false);
+  assert.equal(receipts.record('m1', 'c', 'unknown'), false);
+  assert.deepEqual(receipts.get('m1'), { delivered: ['b'], read: ['b'] });
+});
+
+test('ReceiptTracker: evicts oldest messages', () => {
+  const receipts = new ReceiptTracker(1);
+  receipts.record('m1', 'b', 'read');
+  receipts.record('m2', 'b', 'read');
+  assert.deepEqual(receipts.get('m1'), { delivered: [], read: [] });
+  assert.equal(isReceiptStatus('read'), true);
+  assert.equal(isReceiptStatus('sent'), false);
+});
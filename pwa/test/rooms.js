@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_ROOM, RoomRegistry, isRoomName } = require('../lib/rooms.js');
+
+test('RoomRegistry: join and leave', () => {
+  const rooms = new RoomRegistry();
+  assert.equal(rooms.join('dev', 'a'), true);
+  assert.equal(rooms.join('dev', 'a'), false);
+  rooms.join('dev', 'b');
+  assert.deepEqual(rooms.members('dev'), ['a', 'b']);
+  assert.equal(rooms.leave('dev', 'a'), true);
+  assert.equal(rooms.leave('dev', 'a'), false);
+  assert.equal(rooms.count('dev'), 1);
+});
+
+test('RoomRegistry: empty rooms are removed except default', () => {
+  const rooms = new RoomRegistry();
+  rooms.join(DEFAULT_ROOM, 'a');
+  rooms.join('dev', 'a');
+  assert.deepEqual(rooms.leaveAll('a'), [DEFAULT_ROOM, 'dev']);
+  assert.deepEqual(rooms.list(), [DEFAULT_ROOM]);
+  assert.equal(rooms.roomsOf('a').size, 0);
+});
+
+test('RoomRegistry: subscriptions outlive connections', () => {
+  const rooms = new RoomRegistry();
+  rooms.join('dev', 'a');
+  rooms.subscribe('dev', 'alice');
+  rooms.leaveAll('a');
+  assert.equal(rooms.isSubscribed('dev', 'alice'), true);
+  assert.equal(rooms.isSubscribed('ops', 'alice'), false);
+  rooms.subscribe('ops', 'alice');
+  rooms.unsubscribe('dev', 'alice');
+  assert.equal(rooms.isSubscribed('dev', 'alice'), false);
+  rooms.unsubscribeAll('alice');
+  assert.equal(rooms.isSubscribed('ops', 'alice'), false);
+});
+
+test('RoomRegistry: canRead limits messages to their audience', () => {
+  const rooms = new RoomRegistry();
+  rooms.subscribe('dev', 'alice');
+  const message = { room: 'dev', userId: 'bob' };
+  assert.equal(rooms.canRead(message, 'alice'), true);
+  assert.equal(rooms.canRead(message, 'carol'), false);
+  const direct = { room: DEFAULT_ROOM, userId: 'bob', to: 'carol' };
+  assert.equal(rooms.canRead(direct, 'carol'), true);
+  assert.equal(rooms.canRead(direct, 'bob'), true);
+  assert.equal(rooms.canRead(direct, 'alice'), false);
+});
+
+test('isRoomName: validates names', () => {
+  assert.equal(isRoomName('team-1'), true);
+  assert.equal(isRoomName(''), false);
+  assert.equal(isRoomName('a b'), false);
+  assert.equal(isRoomName(42), false);
+});
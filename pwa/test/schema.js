@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeText, validate } = require('../lib/schema.js');
+
+const SCHEMAS = {
+  message: {
+    content: { type: 'string', required: true, sanitize: true, maxLength: 5 },
+    room: { type: 'string', check: (room) => /^\w+$/.test(room) },
+  },
+  history: {
+    before: { type: ['string', 'integer'] },
+    limit: { type: 'integer', min: 1, max: 10 },
+  },
+  receipt: { status: { type: 'string', enum: ['read'] } },
+};
+
+test('validate: keeps declared fields only', () => {
+  const frame = { type: 'message', content: ' hi ', room: 'a', extra: 1 };
+  const { value } = validate(SCHEMAS, frame);
+  assert.deepEqual(value, { type: 'message', content: 'hi', room: 'a' });
+});
+
+test('validate: reports every invalid field', () => {
+  const { errors } = validate(SCHEMAS, { type: 'message', room: 'a b' });
+  assert.deepEqual(errors, ['content is required', 'room is invalid']);
+  const long = validate(SCHEMAS, { type: 'message', content: 'toolong' });
+  assert.deepEqual(long.errors, ['content exceeds 5 characters']);
+  const blank = validate(SCHEMAS, { type: 'message', content: '\u0000 ' });
+  assert.deepEqual(blank.errors, ['content must not be empty']);
+});
+
+test('validate: checks types, ranges and enums', () => {
+  assert.ok(validate(SCHEMAS, { type: 'history', before: 5 }).value);
+  assert.ok(validate(SCHEMAS, { type: 'history', before: 'x' }).value);
+  const float = validate(SCHEMAS, { type: 'history', limit: 1.5 });
+  assert.deepEqual(float.errors, ['limit must be integer']);
+  const big = validate(SCHEMAS, { type: 'history', limit: 11 });
+  assert.deepEqual(big.errors, ['limit must be at most 10']);
+  const status = validate(SCHEMAS, { type: 'receipt', status: 'sent' });
+  assert.deepEqual(status.errors, ['status must be one of: read']);
+});
+
+test('validate: rejects unknown types and non-objects', () => {
+  const unknown = validate(SCHEMAS, { type: 'toString' });
+  assert.deepEqual(unknown.errors, ['unknown message type: toString']);
+  for (const frame of [null, [], 'message', 42]) {
+    assert.deepEqual(validate(SCHEMAS, frame).errors, [
+      'frame must be a JSON object',
+    ]);
+  }
+});
+
+test('sanitizeText: strips control and bidi characters', () => {
+  assert.equal(sanitizeText('a\u0007b\u202Ec\u200B'), 'abc');
+  assert.equal(sanitizeText(' line\r\nnext\tend '), 'line\nnext\tend');
+  assert.equal(sanitizeText('é'), 'é');
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webPush = require('../lib/web-push.js');
+const { MockPushService, verifyVapid } = require('../lib/push-mock.js');
+
+const VAPID = {
+  subject: 'mailto:admin@localhost',
+  ...webPush.generateVapidKeys(),
+};
+
+test('WebPush: VAPID keys are raw P-256 keys', () => {
+  const { publicKey, privateKey } = webPush.generateVapidKeys();
+  const point = Buffer.from(publicKey, 'base64url');
+  assert.equal(point.length, 65);
+  assert.equal(point[0], 4);
+  assert.equal(Buffer.from(privateKey, 'base64url').length, 32);
+});
+
+test('WebPush: VAPID header is signed for the push service origin', () => {
+  const endpoint = 'https://push.example.com/send/abc';
+  const now = Date.now();
+  const header = webPush.vapidHeader(endpoint, VAPID, now);
+  const { claims, publicKey } = verifyVapid(header, 'https://push.example.com');
+  assert.equal(publicKey, VAPID.publicKey);
+  assert.equal(claims.sub, VAPID.subject);
+  assert.ok(claims.exp * 1000 > now);
+
+  const foreign = verifyVapid(header, 'https://other.example.com');
+  assert.equal(foreign.error, 'Wrong VAPID audience');
+  const other = { ...VAPID, ...webPush.generateVapidKeys() };
+  const [token] = header.split(', ');
+  const [, otherKey] = webPush.vapidHeader(endpoint, other, now).split(', ');
+  const forged = verifyVapid(`${token}, ${otherKey}`, endpoint);
+  assert.equal(forged.error, 'Invalid VAPID signature');
+  const badKey = verifyVapid(`${token}, k=not-a-key`, endpoint);
+  assert.equal(badKey.error, 'Invalid VAPID key');
+});
+
+test('WebPush: rejects invalid subscriptions', () => {
+  const service = new MockPushService();
+  service.origin = 'http://127.0.0.1:9';
+  const local = service.subscribe();
+  const remote = { ...local, endpoint: 'http://push.example.com/x' };
+  const { validateSubscription } = webPush;
+
+  assert.equal(validateSubscription(local), 'Push endpoint must use https');
+  assert.equal(validateSubscription(local, { allowLocal: true }), null);
+  assert.equal(
+    validateSubscription(remote, { allowLocal: true }),
+    'Push endpoint must use https',
+  );
+  const https = { ...local, endpoint: 'https://push.example.com/x' };
+  assert.equal(validateSubscription(https), null);
+  const badKey = { ...https, keys: { ...https.keys, p256dh: 'AAAA' } };
+  assert.equal(validateSubscription(badKey), 'Invalid p256dh key');
+  const badAuth = { ...https, keys: { ...https.keys, auth: 'AAAA' } };
+  assert.equal(validateSubscription(badAuth), 'Invalid auth secret');
+  assert.equal(validateSubscription({}), 'Invalid push endpoint');
+});
+
+test('WebPush: delivers encrypted payloads to the mock service', async () => {
+  const service = new MockPushService();
+  await service.start();
+  try {
+    const subscription = service.subscribe();
+    const sender = new webPush.PushSender(VAPID);
+    const delivery = service.next();
+    const payload = { title: 'Ann', body: 'Привіт 👋' };
+    const result = await sender.send(subscription, payload, {
+      ttl: 60,
+      urgency: 'high',
+    });
+    assert.deepEqual(result, { statusCode: 201, gone: false });
+
+    const received = await delivery;
+    assert.deepEqual(JSON.parse(received.payload), payload);
+    assert.equal(received.ttl, '60');
+    assert.equal(received.urgency, 'high');
+    assert.equal(received.publicKey, VAPID.publicKey);
+
+    const malformed = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers: { authorization: 'vapid t=a.b.c, k=not-a-key' },
+    });
+    assert.equal(malformed.status, 401);
+
+    service.unsubscribe(subscription.endpoint);
+    const gone = await sender.send(subscription, 'again');
+    assert.deepEqual(gone, { statusCode: 410, gone: true });
+  } finally {
+    await service.close();
+  }
+});
+
+test('WebPush: refuses oversized payloads', () => {
+  const service = new MockPushService();
+  service.origin = 'http://127.0.0.1:9';
+  const { keys } = service.subscribe();
+  const fits = 'x'.repeat(webPush.MAX_PAYLOAD);
+  assert.equal(webPush.encrypt(keys, fits).length, 4096);
+  assert.throws(() => webPush.encrypt(keys, `${fits}x`), /exceeds/);
+});
+
+test('SubscriptionStore: persists subscriptions per user', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'push-'));
+  const filePath = path.join(dir, 'subscriptions.json');
+  try {
+    const store = new webPush.SubscriptionStore(filePath);
+    const keys = { p256dh: 'key', auth: 'secret' };
+    await store.add('ann', { endpoint: 'https://push/1', keys });
+    await store.add('ann', { endpoint: 'https://push/2', keys });
+    await store.add('bob', { endpoint: 'https://push/3', keys });
+    assert.equal(await store.remove('https://push/2'), true);
+    assert.equal(await store.remove('https://push/2'), false);
+
+    const loaded = new webPush.SubscriptionStore(filePath);
+    assert.equal(await loaded.load(), 2);
+    const endpoints = loaded.forUser('ann').map(({ endpoint }) => endpoint);
+    assert.deepEqual(endpoints, ['https://push/1']);
+    assert.equal(loaded.get('https://push/3').userId, 'bob');
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});